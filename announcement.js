@@ -0,0 +1,153 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const PROVIDER = "announcement"; // How composed files are listed in the TTS cache
+
+const fs = require('fs'),
+      path = require('path'),
+      crypto = require('crypto'),
+      logger = require('winston'),
+      errors = require('./errors'),
+      audio = require('./audio'),
+      tts = require('./tts'),
+      ttscache = require('./ttscache');
+
+// Formats we can decode, by the content types sounds and TTS renditions are served as
+const CONTENT_TYPES = {"audio/wav": audio.WAV, "audio/wave": audio.WAV, "audio/x-wav": audio.WAV,
+                       "audio/mp3": audio.MP3, "audio/mpeg": audio.MP3,
+                       "audio/flac": audio.FLAC, "audio/x-flac": audio.FLAC,
+                       "audio/ogg": audio.OGG};
+
+const inflight = {}; // Map from composed filename to callbacks waiting on it
+
+var cachePath = null,
+    ffmpegPath = null,
+    sampleRate = 24000; // Google's TTS voices are 24 kHz, so speech loses nothing
+
+// Composed files go in the TTS cache directory, which the static server serves.
+// options: {cachePath, ffmpegPath, sampleRate}
+function configure(options) {
+  cachePath = options.cachePath;
+  ffmpegPath = options.ffmpegPath;
+  if (options.sampleRate) sampleRate = options.sampleRate;
+}
+
+// Write a cached WAV file named for key, produced by make(cb(err, buf)) unless it is already there.
+// cb(err, {filename, contentType, cached})
+function cached(key, description, make, cb) {
+  let filename = `${crypto.createHash('sha1').update(key).digest('hex')}.wav`;
+  let result = {"filename": filename, "contentType": "audio/wav"};
+  if (ttscache.lookup(filename)) {
+    logger.debug(`Cache hit for announcement ${description}.`);
+    cb(null, Object.assign(result, {"cached": true}));
+    return;
+  }
+  ttscache.miss();
+  if (inflight[filename]) {
+    inflight[filename].push(cb);
+    return;
+  }
+  inflight[filename] = [cb];
+  let done = err => {
+    let callbacks = inflight[filename];
+    delete inflight[filename];
+    callbacks.forEach(callback => callback(err, err ? null : Object.assign({}, result, {"cached": false})));
+  };
+  make((err, buf) => {
+    if (err) {
+      done(err);
+      return;
+    }
+    let wav = audio.toWav(buf, sampleRate);
+    tts.writeAtomic(path.join(cachePath, filename), wav, err => {
+      if (err) {
+        logger.error(`Problem writing announcement to disk.`, err);
+        done(errors.relayError(errors.FILE_ERROR, `Problem writing announcement to disk.`, err));
+        return;
+      }
+      ttscache.add({"filename": filename, "provider": PROVIDER, "text": description,
+                    "contentType": result.contentType, "size": wav.length});
+      done(null);
+    });
+  });
+}
+
+// The key for a file part changes whenever the file does
+function partKey(part, cb) {
+  if (part.pauseInSecs != null) {
+    cb(null, `pause:${part.pauseInSecs}`);
+    return;
+  }
+  fs.stat(part.file, (err, stat) => {
+    if (err) cb(errors.relayError(errors.FILE_ERROR, `Unable to load file ${part.file}.`, err));
+    else cb(null, `${part.file}:${stat.size}:${stat.mtime.getTime()}`);
+  });
+}
+
+function decodePart(part, cb) {
+  if (part.pauseInSecs != null) {
+    cb(null, Buffer.alloc(Math.round(part.pauseInSecs * sampleRate) * 2));
+    return;
+  }
+  let format = CONTENT_TYPES[(part.contentType || '').toLowerCase()];
+  if (!format) {
+    cb(errors.relayError(errors.AUDIO_CONVERSION_FAILED, `Unable to combine ${part.contentType} audio.`));
+    return;
+  }
+  audio.decode(part.file, format, {"ffmpegPath": ffmpegPath, "sampleRate": sampleRate}, cb);
+}
+
+// Run operation(item, cb) over items one at a time. cb(err, results)
+function series(items, operation, cb) {
+  let results = [];
+  let next = (i) => {
+    if (i >= items.length) {
+      cb(null, results);
+      return;
+    }
+    operation(items[i], (err, result) => {
+      if (err) cb(err);
+      else {
+        results.push(result);
+        next(i+1);
+      }
+    });
+  };
+  next(0);
+}
+
+// Join parts [{file, contentType} | {pauseInSecs}] into one cached WAV file. Sounds that aren't WAV
+// need ffmpeg to decode them, and AUDIO_CONVERSION_FAILED means the parts can't be combined.
+// cb(err, {filename, contentType, cached})
+function compose(parts, description, cb) {
+  series(parts, partKey, (err, keys) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    let make = done => series(parts, decodePart, (err, bufs) => done(err, err ? null : Buffer.concat(bufs)));
+    cached(`${sampleRate}|${keys.join('|')}`, description, make, cb);
+  });
+}
+
+// A cached WAV file of silence, for pauses in announcements that are played as a queue.
+// cb(err, {filename, contentType, cached})
+function silence(seconds, cb) {
+  cached(`${sampleRate}|silence:${seconds}`, `pause of ${seconds} seconds`,
+         done => done(null, Buffer.alloc(Math.round(seconds * sampleRate) * 2)), cb);
+}
+
+module.exports = {configure: configure, compose: compose, silence: silence};
@@ -0,0 +1,252 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Formats accepted for broadcast sounds. Everything is converted to 16 kHz mono LINEAR16 before
+// being sent, which is what the Assistant expects of microphone input
+const LINEAR16 = "LINEAR16", // Raw 16-bit little-endian PCM, already 16 kHz mono
+      WAV = "WAV",
+      FLAC = "FLAC",
+      MP3 = "MP3",
+      OGG = "OGG";
+const FORMATS = [LINEAR16, WAV, FLAC, MP3, OGG];
+
+const SAMPLE_RATE = 16000;
+
+const childProcess = require('child_process'),
+      fs = require('fs'),
+      logger = require('winston'),
+      errors = require('./errors');
+
+// Wrap raw 16-bit little-endian PCM (as returned by the Assistant for LINEAR16) in a RIFF/WAVE header
+function toWav(buf, sampleRate, channels) {
+  channels = channels || 1;
+  let header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + buf.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16); // fmt chunk size
+  header.writeUInt16LE(1, 20); // PCM
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28); // byte rate
+  header.writeUInt16LE(channels * 2, 32); // block align
+  header.writeUInt16LE(16, 34); // bits per sample
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(buf.length, 40);
+  return Buffer.concat([header, buf]);
+}
+
+// Read the format and sample data out of a RIFF/WAVE file.
+// Returns {audioFormat, channels, sampleRate, bitsPerSample, data}, or null if buf isn't one
+function parseWav(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+  let fmt = null, data = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length && !(fmt && data)) {
+    let id = buf.toString('ascii', offset, offset + 4);
+    let size = buf.readUInt32LE(offset + 4);
+    let start = offset + 8;
+    // Streaming encoders leave the sizes unset, so the data runs to the end of the file
+    let end = Math.min(start + size, buf.length);
+    if (id === 'fmt ' && end - start >= 16) {
+      fmt = {"audioFormat": buf.readUInt16LE(start),
+             "channels": buf.readUInt16LE(start + 2),
+             "sampleRate": buf.readUInt32LE(start + 4),
+             "bitsPerSample": buf.readUInt16LE(start + 14)};
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the first two bytes of the subformat GUID
+      if (fmt.audioFormat === 0xFFFE && end - start >= 26) fmt.audioFormat = buf.readUInt16LE(start + 24);
+    }
+    else if (id === 'data') {
+      data = buf.slice(start, end);
+    }
+    offset = start + size + (size % 2); // Chunks are padded to an even length
+  }
+  if (!fmt || !data) return null;
+  return Object.assign(fmt, {"data": data});
+}
+
+// Convert interleaved integer (audioFormat 1) or float (audioFormat 3) PCM to mono LINEAR16 at
+// sampleRate, 16 kHz if not given, averaging the channels together. Returns null for encodings we
+// can't read ourselves
+function toLinear16(wav, sampleRate) {
+  sampleRate = sampleRate || SAMPLE_RATE;
+  let bytes = wav.bitsPerSample / 8;
+  let read;
+  if (wav.audioFormat === 1 && bytes === 1) read = (buf, i) => (buf.readUInt8(i) - 128) / 128;
+  else if (wav.audioFormat === 1 && bytes === 2) read = (buf, i) => buf.readInt16LE(i) / 32768;
+  else if (wav.audioFormat === 1 && bytes === 3) read = (buf, i) => buf.readIntLE(i, 3) / 8388608;
+  else if (wav.audioFormat === 1 && bytes === 4) read = (buf, i) => buf.readInt32LE(i) / 2147483648;
+  else if (wav.audioFormat === 3 && bytes === 4) read = (buf, i) => buf.readFloatLE(i);
+  else if (wav.audioFormat === 3 && bytes === 8) read = (buf, i) => buf.readDoubleLE(i);
+  else return null;
+  if (wav.channels < 1 || wav.sampleRate < 1) return null;
+
+  // Downmix
+  let frameSize = bytes * wav.channels;
+  let frames = Math.floor(wav.data.length / frameSize);
+  let mono = new Float64Array(frames);
+  for (let f = 0; f < frames; f++) {
+    let sum = 0;
+    for (let c = 0; c < wav.channels; c++) sum += read(wav.data, f * frameSize + c * bytes);
+    mono[f] = sum / wav.channels;
+  }
+
+  // Resample. When reducing the rate, average the input each output sample covers so higher
+  // frequencies don't fold back into the speech band; otherwise interpolate linearly
+  let ratio = wav.sampleRate / sampleRate;
+  let length = Math.floor(frames / ratio);
+  let out = Buffer.alloc(length * 2);
+  for (let i = 0; i < length; i++) {
+    let value;
+    if (ratio > 1) {
+      let from = Math.floor(i * ratio), to = Math.min(Math.floor((i + 1) * ratio), frames);
+      value = 0;
+      for (let j = from; j < to; j++) value += mono[j];
+      value /= Math.max(to - from, 1);
+    }
+    else {
+      let position = i * ratio;
+      let j = Math.floor(position);
+      let next = Math.min(j + 1, frames - 1);
+      value = mono[j] + (mono[next] - mono[j]) * (position - j);
+    }
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(value * 32768))), i * 2);
+  }
+  return out;
+}
+
+// Have ffmpeg decode anything else to mono LINEAR16 at sampleRate
+function transcode(file, ffmpegPath, sampleRate, cb) {
+  childProcess.execFile(ffmpegPath || 'ffmpeg',
+                        ['-hide_banner', '-loglevel', 'error', '-i', file,
+                         '-f', 's16le', '-acodec', 'pcm_s16le', '-ac', '1', '-ar', String(sampleRate), '-'],
+                        {"encoding": 'buffer', "maxBuffer": 64 * 1024 * 1024, "timeout": 60000},
+                        (err, stdout, stderr) => {
+    if (err) cb(new Error(`${ffmpegPath || 'ffmpeg'} failed: ${err.message} ${stderr ? stderr.toString().trim() : ''}`));
+    else cb(null, stdout);
+  });
+}
+
+// Load a sound file in one of FORMATS as mono LINEAR16. options: {ffmpegPath, sampleRate}, the
+// rate being 16 kHz if not given. cb(err, buf, source) where source describes the file as it was:
+// {format, sampleRate, channels, bitsPerSample}
+function decode(file, format, options, cb) {
+  let sampleRate = options.sampleRate || SAMPLE_RATE;
+  if (!FORMATS.includes(format)) {
+    cb(errors.relayError(errors.AUDIO_CONVERSION_FAILED, `Unsupported audio format ${format}.`));
+    return;
+  }
+  fs.readFile(file, (err, buf) => {
+    if (err) {
+      cb(errors.relayError(errors.FILE_ERROR, `Unable to load file ${file}.`, err));
+      return;
+    }
+    if (format === LINEAR16) {
+      let source = {"format": format, "sampleRate": SAMPLE_RATE, "channels": 1, "bitsPerSample": 16};
+      if (sampleRate !== SAMPLE_RATE) buf = toLinear16(Object.assign({"audioFormat": 1, "data": buf}, source), sampleRate);
+      cb(null, buf, source);
+      return;
+    }
+    let wav = format === WAV ? parseWav(buf) : null;
+    if (format === WAV && !wav) {
+      cb(errors.relayError(errors.AUDIO_CONVERSION_FAILED, `${file} is not a valid WAV file.`));
+      return;
+    }
+    let source = {"format": format};
+    if (wav) {
+      Object.assign(source, {"sampleRate": wav.sampleRate, "channels": wav.channels, "bitsPerSample": wav.bitsPerSample});
+      let converted = toLinear16(wav, sampleRate);
+      if (converted) {
+        cb(null, converted, source);
+        return;
+      }
+      logger.debug(`WAV encoding ${wav.audioFormat} of ${file} needs ffmpeg.`);
+    }
+    transcode(file, options.ffmpegPath, sampleRate, (err, converted) => {
+      if (err) cb(errors.relayError(errors.AUDIO_CONVERSION_FAILED, `Unable to convert ${file} from ${format}.`, err));
+      else cb(null, converted, source);
+    });
+  });
+}
+
+// Length in seconds of the given number of bytes of 16 kHz mono LINEAR16 audio
+function duration(length) {
+  return length / (SAMPLE_RATE * 2);
+}
+
+// Find the runs of samples quieter than threshold, as [{start, end}] byte offsets with end exclusive
+function silences(buf, threshold) {
+  let runs = [];
+  let start = null;
+  let length = buf.length - (buf.length % 2);
+  for (let i = 0; i < length; i+=2) {
+    if (Math.abs(buf.readInt16LE(i)) < threshold) {
+      if (start == null) start = i; // If this is the beginning fencepost
+    }
+    else if (start != null) { // If we are ending a window of silence
+      runs.push({"start": start, "end": i});
+      start = null;
+    }
+  }
+  if (start != null) runs.push({"start": start, "end": length});
+  return runs;
+}
+
+// Chunk a large audio buffer into buffers of at most maxLength bytes, splitting in the middle of
+// silences of at least minLength bytes. Where no such silence falls within maxLength of the last
+// split, the audio is cut at maxLength rather than dropped
+function chunkBuffer(buf, minLength, maxLength, threshold) {
+  maxLength -= maxLength % 2;
+  if (buf.length <= maxLength) return [buf];
+  logger.debug(`Chunking buffer of length ${buf.length} with maximum chunk length ${maxLength} with minimum silence length ${minLength} bytes.`);
+
+  let splits = silences(buf, threshold).filter(run => run.end - run.start >= minLength)
+                                       .map(run => run.start + Math.floor((run.end - run.start) / 4) * 2);
+  let bufs = [];
+  let start = 0;
+  while (buf.length - start > maxLength) {
+    let candidates = splits.filter(split => split > start && split - start <= maxLength);
+    let end = candidates.length > 0 ? candidates[candidates.length-1] : start + maxLength;
+    if (candidates.length == 0) logger.warn(`No silence to split on within ${maxLength} bytes of ${start}; cutting.`);
+    logger.debug(`Creating chunk of length ${end-start}, less than ${maxLength}.`);
+    bufs.push(buf.slice(start, end));
+    start = end;
+  }
+  // Append last chunk
+  bufs.push(buf.slice(start));
+  return bufs;
+}
+
+// Truncate any silences to at most maxLength bytes
+function truncateSilences(buf, maxLength, threshold) {
+  maxLength -= maxLength % 2;
+  let parts = [];
+  let kept = 0;
+  silences(buf, threshold).forEach(run => {
+    if (run.end - run.start > maxLength) {
+      parts.push(buf.slice(kept, run.start + maxLength));
+      kept = run.end;
+    }
+  });
+  if (kept === 0) return buf;
+  parts.push(buf.slice(kept));
+  return Buffer.concat(parts);
+}
+
+module.exports = {toWav: toWav, parseWav: parseWav, toLinear16: toLinear16, decode: decode, duration: duration,
+                  chunkBuffer: chunkBuffer, truncateSilences: truncateSilences,
+                  LINEAR16: LINEAR16, WAV: WAV, FLAC: FLAC, MP3: MP3, OGG: OGG, FORMATS: FORMATS, SAMPLE_RATE: SAMPLE_RATE};
@@ -0,0 +1,224 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const SCHEME = "scrypt",
+      KEY_LENGTH = 32;
+
+const SIGNATURE_HEADER = "X-Relay-Signature",
+      TIMESTAMP_HEADER = "X-Relay-Timestamp";
+
+// scrypt is slow on purpose, so wrong keys mustn't make us run it at will: a wrong key is refused
+// without rehashing for a while, and only so many new keys are hashed for each user in that time
+const REJECTED_TTL = 60 * 1000,
+      MAX_HASHED_CHECKS = 10;
+
+const crypto = require('crypto'),
+      logger = require('winston');
+
+const verified = {}, // Map from user and digest of a presented key to the key it matched, to skip rehashing
+      rejected = {}, // Map from user and digest of a presented key that matched none to when that is forgotten
+      hashedChecks = {}, // Map from user to when keys were last hashed for them, within REJECTED_TTL
+      signatures = {}; // Map from signatures already accepted to when they expire
+
+var keys = {}, // Map from user to [{name, hash, secret, scope}]
+    maxSkewMs = 300000; // How far a signed request's timestamp may be from our clock
+
+// Build each user's list of keys: the entries of its "keys", and its relayKey if it has one.
+// options: {maxSkewInSecs}
+function configure(users, options) {
+  if (options.maxSkewInSecs != null) maxSkewMs = options.maxSkewInSecs * 1000;
+  keys = {};
+  [verified, rejected, hashedChecks].forEach(memos => Object.keys(memos).forEach(k => delete memos[k]));
+  Object.keys(users).forEach(user => {
+    keys[user] = (users[user].keys || []).filter(key => {
+      if (key.hash && !parseHash(key.hash)) logger.error(`Key ${key.name} of user ${user} has a malformed hash; ignoring.`);
+      else if (!key.hash && !key.secret) logger.error(`Key ${key.name} of user ${user} has neither a hash nor a secret; ignoring.`);
+      else return true;
+      return false;
+    });
+    if (users[user].relayKey != null) {
+      logger.warn(`User ${user} has a plaintext relayKey; consider replacing it with a hashed key.`);
+      keys[user].push({"name": "relayKey", "plaintext": String(users[user].relayKey)});
+    }
+  });
+}
+
+// Hash a key for the config file, with a random salt
+function hash(key) {
+  let salt = crypto.randomBytes(16);
+  return [SCHEME, salt.toString('hex'), crypto.scryptSync(key, salt, KEY_LENGTH).toString('hex')].join('$');
+}
+
+// {salt, hash} from a stored hash, or null if it isn't one of ours
+function parseHash(stored) {
+  let parts = String(stored).split('$');
+  if (parts.length !== 3 || parts[0] !== SCHEME || !/^[0-9a-f]+$/.test(parts[1]) || !/^[0-9a-f]+$/.test(parts[2])) return null;
+  return {"salt": Buffer.from(parts[1], 'hex'), "hash": Buffer.from(parts[2], 'hex')};
+}
+
+// Compare secrets in constant time, whatever their lengths
+function safeEqual(a, b) {
+  let digest = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// The key presented as a bearer token or, as before, the relayKey in the body
+function presentedKey(req) {
+  let header = req.get('Authorization');
+  let match = header && /^Bearer\s+(\S+)$/i.exec(header);
+  if (match) return match[1];
+  return req.body && req.body.relayKey != null ? String(req.body.relayKey) : null;
+}
+
+// Whether the request carries any credentials at all
+function presented(req) {
+  return presentedKey(req) != null || req.get(SIGNATURE_HEADER) != null;
+}
+
+// Forget wrong keys, and hashing done, that no longer hold back hashing
+function pruneRejected(now) {
+  Object.keys(rejected).forEach(memo => {
+    if (rejected[memo] < now) delete rejected[memo];
+  });
+  Object.keys(hashedChecks).forEach(user => {
+    hashedChecks[user] = hashedChecks[user].filter(time => time > now - REJECTED_TTL);
+    if (hashedChecks[user].length === 0) delete hashedChecks[user];
+  });
+}
+
+// cb(key) with the user's key matching the one presented, or null
+function matchKey(user, presentedValue, cb) {
+  let memo = `${user}:${digest(presentedValue)}`;
+  if (verified[memo]) {
+    cb(verified[memo]);
+    return;
+  }
+  let candidates = keys[user] || [];
+  let found = candidates.find(key => key.plaintext != null && safeEqual(key.plaintext, presentedValue));
+  if (found) {
+    cb(found);
+    return;
+  }
+  let hashed = candidates.filter(key => key.hash);
+  let now = Date.now();
+  pruneRejected(now);
+  if (hashed.length === 0 || rejected.hasOwnProperty(memo)) {
+    cb(null);
+    return;
+  }
+  let checks = hashedChecks[user] = hashedChecks[user] || [];
+  if (checks.length >= MAX_HASHED_CHECKS) {
+    logger.info(`Too many unrecognized keys for user ${user}; refusing keys not seen before for up to ${REJECTED_TTL / 1000} seconds.`);
+    cb(null);
+    return;
+  }
+  checks.push(now);
+  let next = (i) => {
+    if (i >= hashed.length) {
+      rejected[memo] = Date.now() + REJECTED_TTL;
+      cb(null);
+      return;
+    }
+    let stored = parseHash(hashed[i].hash);
+    crypto.scrypt(presentedValue, stored.salt, stored.hash.length, (err, derived) => {
+      if (!err && crypto.timingSafeEqual(derived, stored.hash)) {
+        verified[memo] = hashed[i];
+        cb(hashed[i]);
+      }
+      else next(i+1);
+    });
+  };
+  next(0);
+}
+
+// Forget signatures that are too old to be accepted again anyway
+function pruneSignatures(now) {
+  Object.keys(signatures).forEach(s => {
+    if (signatures[s] < now) delete signatures[s];
+  });
+}
+
+// The hex HMAC-SHA256, keyed with secret, of the timestamp in seconds, the method, the path with any
+// query string and the raw body, joined by dots. The method and path are covered so a signed request
+// can't be replayed against another route. Webhook deliveries are signed the same way
+function sign(secret, timestamp, method, path, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${method}.${path}.`)
+                                            .update(body || Buffer.alloc(0)).digest('hex');
+}
+
+// Check a request's signature against each of the user's secrets. Returns the key that signed the
+// request, or null with the reason logged
+function matchSignature(req, user) {
+  let signature = String(req.get(SIGNATURE_HEADER)).replace(/^sha256=/, '');
+  let timestamp = Number(req.get(TIMESTAMP_HEADER));
+  let now = Date.now();
+  if (!Number.isFinite(timestamp) || Math.abs(now - timestamp * 1000) > maxSkewMs) {
+    logger.info(`Signed request for user ${user} has a missing or stale timestamp.`);
+    return null;
+  }
+  pruneSignatures(now);
+  if (signatures.hasOwnProperty(signature)) {
+    logger.info(`Signed request for user ${user} has already been seen; rejecting replay.`);
+    return null;
+  }
+  let key = (keys[user] || []).filter(key => key.secret)
+                              .find(key => safeEqual(sign(key.secret, req.get(TIMESTAMP_HEADER), req.method, req.originalUrl, req.rawBody),
+                                                     signature.toLowerCase()));
+  if (!key) {
+    logger.info(`Invalid signature for user ${user}.`);
+    return null;
+  }
+  // Remember it for as long as its timestamp would be accepted
+  signatures[signature] = timestamp * 1000 + maxSkewMs;
+  return key;
+}
+
+// Work out who a request is from. cb(principal) with {user, key, scope}, where scope is null for
+// keys that may do anything the user may, or null if the request doesn't authenticate
+function identify(req, cb) {
+  let user = req.body && req.body.user;
+  if (user == null || !keys.hasOwnProperty(user)) {
+    cb(null);
+    return;
+  }
+  let principal = key => key ? {"user": user, "key": key.name, "scope": key.scope || null} : null;
+  if (req.get(SIGNATURE_HEADER) != null) {
+    cb(principal(matchSignature(req, user)));
+    return;
+  }
+  let presentedValue = presentedKey(req);
+  if (presentedValue == null) {
+    cb(null);
+    return;
+  }
+  matchKey(user, presentedValue, key => cb(principal(key)));
+}
+
+// Print a hash of the key given on the command line, for the "hash" of an entry in a user's "keys"
+if (require.main === module) {
+  if (process.argv.length < 3) {
+    console.error(`Usage: node auth.js <key>`);
+    process.exit(1);
+  }
+  console.log(hash(process.argv[2]));
+}
+
+module.exports = {configure: configure, hash: hash, sign: sign, identify: identify, presented: presented,
+                  SIGNATURE_HEADER: SIGNATURE_HEADER, TIMESTAMP_HEADER: TIMESTAMP_HEADER};
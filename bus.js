@@ -0,0 +1,66 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const RECENT_EVENTS = 100; // Kept for event stream clients catching up after reconnecting
+
+const logger = require('winston');
+
+const recent = [], // The latest events, oldest first
+      subscribers = []; // Functions called with every event
+
+var lastId = 0;
+
+// Tell every subscriber that something of type has happened. Events are {id, type, time, data}.
+// A subscriber that throws doesn't stop the others, or whatever published the event
+function publish(type, data) {
+  let event = {"id": String(++lastId), "type": type, "time": new Date(), "data": data || {}};
+  recent.push(event);
+  if (recent.length > RECENT_EVENTS) recent.shift();
+  logger.debug(`Event ${type}.`, event);
+  subscribers.slice().forEach(fn => {
+    try {
+      fn(event);
+    }
+    catch (err) {
+      logger.error(`Event subscriber failed on ${type}.`, err);
+    }
+  });
+}
+
+function subscribe(fn) {
+  subscribers.push(fn);
+}
+
+function unsubscribe(fn) {
+  let i = subscribers.indexOf(fn);
+  if (i >= 0) subscribers.splice(i, 1);
+}
+
+// The events since the one with ID id, or none if it is too old to be remembered or from before a restart
+function since(id) {
+  let i = recent.findIndex(event => event.id === String(id));
+  return i >= 0 ? recent.slice(i + 1) : [];
+}
+
+// Whether type is one of patterns: exact types, prefixes such as "device.*", or "*" for everything.
+// No patterns at all also match everything
+function matches(type, patterns) {
+  if (!patterns || patterns.length === 0) return true;
+  return patterns.some(pattern => pattern === "*" || pattern === type ||
+                                  (pattern.endsWith(".*") && type.startsWith(pattern.slice(0, -1))));
+}
+
+module.exports = {publish: publish, subscribe: subscribe, unsubscribe: unsubscribe, since: since, matches: matches};
@@ -17,12 +17,30 @@
 const PLAY = "PLAY",
 			PAUSE = "PAUSE",
 			STOP = "STOP",
-			SEEK = "SEEK";
+			SEEK = "SEEK",
+			VOLUME = "VOLUME",
+			MUTE = "MUTE",
+			UNMUTE = "UNMUTE",
+			STATUS = "STATUS",
+			NEXT = "NEXT",
+			PREVIOUS = "PREVIOUS",
+			REPEAT = "REPEAT",
+			SHUFFLE = "SHUFFLE";
 
-const Client = require('castv2-client').Client,
+const BUFFERED = "BUFFERED",
+			LIVE = "LIVE";
+const STREAM_TYPES = [BUFFERED, LIVE];
+
+const REPEAT_MODES = ["REPEAT_OFF", "REPEAT_ALL", "REPEAT_SINGLE", "REPEAT_ALL_AND_SHUFFLE"];
+
+const util = require('util'),
+	  Client = require('castv2-client').Client,
 	  DefaultMediaReceiver = require('castv2-client').DefaultMediaReceiver,
 	  mdns = require('mdns'),
-	  logger = require('winston');
+	  logger = require('winston'),
+	  errors = require('./errors'),
+	  metrics = require('./metrics'),
+	  bus = require('./bus');
 
 const ResolverSequence = [
 	  	mdns.rst.DNSServiceResolve(),
@@ -30,8 +48,49 @@ const ResolverSequence = [
 	  	mdns.rst.makeAddressesUnique()
 	  ];
 
-const chromecasts = {};
-const players = {};
+// Bits of the "ca" field of the TXT record
+const CAPABILITIES = {"videoOut": 1, "videoIn": 2, "audioOut": 4, "audioIn": 8, "multizoneGroup": 32};
+
+const DEFAULT_PORT = 8009;
+
+// Give up on putting back what was playing if an announcement hasn't finished within this long
+const RESTORE_TIMEOUT = 15 * 60 * 1000;
+
+const CONNECT_TIMEOUT = 15 * 1000, // Give up connecting to a device after this long
+      OPERATION_TIMEOUT = 60 * 1000, // Fail requests the device hasn't answered within this long
+      IDLE_TIMEOUT = 10 * 60 * 1000; // Close connections that haven't been used for this long
+
+const devices = {}; // Map from friendly name to {friendlyName, serviceName, uuid, model, capabilities, host, port, static, online, lastSeen}
+const serviceNames = {}; // Map from mDNS service name to friendly name, as services going down aren't resolved
+const advertised = {}; // Map from mDNS service names currently advertised to the {host, port} they advertise
+const players = {}; // Map from friendly name to {client, player} for the media session we are attached to
+const connections = {}; // Map from friendly name to {client, connected, waiting, timer}
+const restores = {}; // Map from friendly name to the snapshot an announcement will restore when it finishes
+const configuredDevices = {}; // Map from friendly name to the static config entry it was last added from, as JSON
+
+var browsing = false, // Whether the mDNS browser has started
+	browserError = null; // {message, at} of the last error the mDNS browser raised
+
+metrics.define("assistant_helper_casts_total", metrics.COUNTER, "Media cast to each Chromecast.");
+metrics.define("assistant_helper_cast_failures_total", metrics.COUNTER, "Casts to each Chromecast that failed, by error code.");
+
+function capabilities(ca) {
+	let flags = parseInt(ca, 10);
+	if (isNaN(flags)) return [];
+	return Object.keys(CAPABILITIES).filter(k => flags & CAPABILITIES[k]);
+}
+
+// The TXT record carries the UUID without dashes
+function uuid(id) {
+	return id ? id.replace(/^(.{8})(.{4})(.{4})(.{4})(.{12})$/, '$1-$2-$3-$4-$5') : null;
+}
+
+// Add or update a device, marking it online
+function register(friendlyName, properties) {
+	let device = devices[friendlyName] || {"friendlyName": friendlyName, "static": false};
+	devices[friendlyName] = Object.assign(device, properties, {"online": true, "lastSeen": Date.now()});
+	return device;
+}
 
 // Create an mDNS browser to listen for Google Chromecast advertisements
 var browser = mdns.createBrowser(mdns.tcp('googlecast'),{"resolverSequence": ResolverSequence});
@@ -40,119 +99,740 @@ var browser = mdns.createBrowser(mdns.tcp('googlecast'),{"resolverSequence": Res
 browser
   // Service advertised
   .on('serviceUp', service => {
+    let txt = service.txtRecord || {};
     logger.info(`Found service.`,
 			    {"serviceName": service.name,
-	  			 "friendlyName": service.txtRecord.fn,
+	  			 "friendlyName": txt.fn,
 	  			 "address": service.addresses[0],
 	  			 "port": service.port});
-    logger.info(`Adding service "${service.txtRecord.fn}".`);
-	  chromecasts[service.txtRecord.fn] = {"host": service.addresses[0], "port": service.port};
+    let friendlyName = txt.fn || service.name;
+    if (devices[friendlyName] && devices[friendlyName].static) {
+    	// Configured addresses take precedence, but the advertisement tells us what the device is
+    	logger.info(`Found statically configured service "${friendlyName}".`);
+    	register(friendlyName, {"serviceName": service.name, "uuid": uuid(txt.id), "model": txt.md || null,
+    	                        "capabilities": capabilities(txt.ca)});
+    }
+    else {
+    	logger.info(`Adding service "${friendlyName}".`);
+    	register(friendlyName, {"serviceName": service.name, "uuid": uuid(txt.id), "model": txt.md || null,
+    	                        "capabilities": capabilities(txt.ca), "host": service.addresses[0], "port": service.port});
+    }
+    serviceNames[service.name] = friendlyName;
+    // mDNS repeats advertisements; only a device coming (back) onto the network is news
+    let isNew = !advertised[service.name];
+    advertised[service.name] = {"host": service.addresses[0], "port": service.port};
+    if (isNew) {
+    	let device = devices[friendlyName];
+    	bus.publish("device.up", {"device": friendlyName, "host": device.host, "port": device.port, "model": device.model,
+    	                          "static": device.static});
+    }
 	})
 	// Service down
-	.on('servicedown', service => {
+	.on('serviceDown', service => {
+	  let friendlyName = serviceNames[service.name];
 	  logger.info('Service stopped.',
 	  			   {"serviceName": service.name,
-	  			    "friendlyName": service.txtRecord.fn,
-	  			    "address": service.addresses[0],
-	  			    "port": service.port});
+	  			    "friendlyName": friendlyName});
+	  // Static devices stay available; there may be a route to them that mDNS doesn't see
+	  if (friendlyName && devices[friendlyName] && !devices[friendlyName].static) {
+	  	devices[friendlyName].online = false;
+	  }
+	  if (friendlyName && advertised[service.name]) {
+	  	bus.publish("device.down", {"device": friendlyName, "static": !!(devices[friendlyName] && devices[friendlyName].static)});
+	  }
+	  delete advertised[service.name];
 	})
 	// Asynchronous error
 	.on('error', err => {
 	  logger.error('Asynchronous error.',err)
+	  browserError = {"message": err.message, "at": new Date()};
 	});
 
 browser.start();
+browsing = true;
 
-// Control media that is being played
-// commandObj is of the form {type: "SEEK", currentTime: 60};
-function control(serviceName, commandObj, cb) {
-	if (!chromecasts[serviceName]) {
+// Add devices that can't be discovered by mDNS, e.g. on other VLANs or from inside a container.
+// Called again whenever the config is reloaded: devices no longer configured are forgotten, or kept
+// at the address they advertise if mDNS has found them, and unchanged ones keep when they were last seen.
+// options: {devices: [{friendlyName, host, port, model, capabilities}]}
+function configure(options) {
+	let configured = (options.devices || []).filter(d => {
+		if (!d.friendlyName || !d.host) logger.error(`Static Chromecast entries need a friendlyName and a host; ignoring.`, d);
+		return d.friendlyName && d.host;
+	});
+	Object.keys(configuredDevices).filter(name => !configured.some(d => d.friendlyName === name)).forEach(name => {
+		delete configuredDevices[name];
+		if (!devices[name]) return;
+		let found = devices[name].serviceName && advertised[devices[name].serviceName];
+		if (found) {
+			logger.info(`Statically configured service "${name}" removed; keeping it as discovered.`, {"address": found.host, "port": found.port});
+			Object.assign(devices[name], {"static": false, "host": found.host, "port": found.port});
+		}
+		else {
+			logger.info(`Statically configured service "${name}" removed.`);
+			delete devices[name];
+		}
+	});
+	configured.forEach(d => {
+		let entry = JSON.stringify(d);
+		if (configuredDevices[d.friendlyName] === entry && devices[d.friendlyName]) return;
+		configuredDevices[d.friendlyName] = entry;
+		logger.info(`Adding statically configured service "${d.friendlyName}".`, {"address": d.host, "port": d.port || DEFAULT_PORT});
+		register(d.friendlyName, {"static": true, "serviceName": null, "uuid": null, "model": d.model || null,
+		                          "capabilities": d.capabilities || [], "host": d.host, "port": d.port || DEFAULT_PORT});
+		devices[d.friendlyName].lastSeen = null;
+	});
+}
+
+// The state of device discovery: whether the mDNS browser is running and its last error, and how
+// many devices are known and online
+function discovery() {
+	let names = Object.keys(devices);
+	return {"browsing": browsing,
+	        "lastError": browserError ? browserError.message : null,
+	        "lastErrorAt": browserError ? browserError.at : null,
+	        "devices": names.length,
+	        "online": names.filter(name => devices[name].online).length,
+	        "discovered": names.filter(name => !devices[name].static).length};
+}
+
+// Known devices by friendly name
+function list() {
+	return Object.keys(devices).sort().map(name => Object.assign({}, devices[name]));
+}
+
+// The address to connect to, or an error if the device is unknown or has gone away
+function lookup(serviceName) {
+	let device = devices.hasOwnProperty(serviceName) ? devices[serviceName] : null;
+	if (!device) {
 		logger.error(`Invalid service name, aborting.`,{"serviceName": serviceName});
+		return {"err": errors.relayError(errors.DEVICE_NOT_FOUND, `Unknown Chromecast ${serviceName}.`)};
 	}
-	else if (!players[serviceName]) {
-		logger.error(`Cannot control non-existent player, aborting.`,{"serviceName": serviceName});
+	if (!device.online) {
+		logger.error(`Service is offline, aborting.`,{"serviceName": serviceName});
+		return {"err": errors.relayError(errors.DEVICE_OFFLINE, `Chromecast ${serviceName} is offline.`)};
 	}
-	else {
-		let player = players[serviceName];
-		if (commandObj.type === PLAY) {
-			logger.info(`Playing ${serviceName}.`);
-			player.play((err,status) => {
-				if (err) logger.error(`Problem while playing media for ${serviceName}.`,err);
-				else {
-					logger.info(`Status returned from ${serviceName}:`,status);
-				}
-			});
+	return {"address": {"host": device.host, "port": device.port}};
+}
+
+// Record a successful connection
+function seen(serviceName) {
+	if (devices[serviceName]) devices[serviceName].lastSeen = Date.now();
+}
+
+// Forget a connection and anything attached to it, and close it
+function drop(serviceName, client) {
+	let connection = connections[serviceName];
+	if (!connection || connection.client !== client) return;
+	clearTimeout(connection.timer);
+	delete connections[serviceName];
+	if (players[serviceName] && players[serviceName].client === client) delete players[serviceName];
+	client.close();
+}
+
+// Close a connection once it has gone unused for a while, unless an announcement on it still has
+// something to put back
+function idle(serviceName, connection) {
+	clearTimeout(connection.timer);
+	connection.timer = setTimeout(() => {
+		if (restores[serviceName]) {
+			idle(serviceName, connection);
+			return;
 		}
-		else if (commandObj.type === PAUSE) {
-			logger.info(`Pausing ${serviceName}.`);
-			player.pause((err,status) => {
-				if (err) logger.error(`Problem while pausing media for ${serviceName}.`,err);
-				else {
-					logger.info(`Status returned from ${serviceName}:`,status);
-				}
-			});
+		logger.debug(`Closing idle connection to ${serviceName}.`);
+		drop(serviceName, connection.client);
+	}, IDLE_TIMEOUT);
+}
+
+// cb(err, client) with the open connection to a device, connecting if there isn't one. One
+// connection per device is shared by every request. castv2-client pings the device every few
+// seconds and raises "Device timeout" if it stops answering, whereupon the connection is dropped
+// and the next request reconnects
+function connect(serviceName, cb) {
+	let found = lookup(serviceName);
+	if (found.err) {
+		cb(found.err);
+		return;
+	}
+	let connection = connections[serviceName];
+	if (connection && connection.connected) {
+		idle(serviceName, connection);
+		cb(null, connection.client);
+		return;
+	}
+	if (connection) {
+		connection.waiting.push(cb);
+		return;
+	}
+
+	logger.debug(`Creating cast client for service ${serviceName}.`);
+	let client = new Client();
+	connection = connections[serviceName] = {"client": client, "connected": false, "waiting": [cb], "timer": null};
+	let fail = err => {
+		let waiting = connection.waiting;
+		connection.waiting = [];
+		drop(serviceName, client);
+		waiting.forEach(cb => cb(errors.relayError(errors.CAST_CONNECTION_FAILED, `Connection to ${serviceName} failed.`, err)));
+	};
+	connection.timer = setTimeout(() => fail(new Error(`Timed out connecting.`)), CONNECT_TIMEOUT);
+	client.on('error', err => {
+		logger.error(`Client returned error for ${serviceName}. Closing.`, err);
+		fail(err);
+	});
+	logger.debug(`Connecting to cast client.`,{serviceName: found.address});
+	client.connect(found.address, () => {
+		logger.debug(`Connected to ${serviceName}.`);
+		seen(serviceName);
+		connection.connected = true;
+		// The sender doesn't tell us when the device closes the socket, but the underlying client does
+		client.client.once('close', () => {
+			logger.info(`Connection to ${serviceName} closed.`);
+			drop(serviceName, client);
+		});
+		let waiting = connection.waiting;
+		connection.waiting = [];
+		idle(serviceName, connection);
+		waiting.forEach(cb => cb(null, client));
+	});
+}
+
+// Run operation(client, done) over the connection to a device. cb(err, result) is called with what
+// operation passes to done, or with an error if the connection fails or the device stops answering
+function withClient(serviceName, operation, cb) {
+	connect(serviceName, (err, client) => {
+		if (err) {
+			cb(err);
+			return;
 		}
-		else if (commandObj.type === STOP) {
-			logger.info(`Stopping ${serviceName}.`);
-			player.stop((err,status) => {
-				if (err) logger.error(`Problem while stopping media for ${serviceName}.`,err);
-				else {
-					logger.info(`Status returned from ${serviceName}:`,status);
-				}
+		let done = false;
+		let timer = null;
+		let onError = err => finish(errors.relayError(errors.CAST_CONNECTION_FAILED, `Connection to ${serviceName} failed.`, err));
+		let finish = (err, result) => {
+			if (done) return;
+			done = true;
+			clearTimeout(timer);
+			client.removeListener('error', onError);
+			cb(err, result);
+		};
+		timer = setTimeout(() => {
+			logger.error(`No answer from ${serviceName}.`);
+			finish(errors.relayError(errors.CAST_CONNECTION_FAILED, `No answer from ${serviceName}.`));
+		}, OPERATION_TIMEOUT);
+		client.on('error', onError);
+		operation(client, finish);
+	});
+}
+
+// Keep hold of the player for media we are playing or have joined, so it can be controlled,
+// letting go of the one it replaces
+function hold(serviceName, client, player) {
+	let held = players[serviceName];
+	if (held && held.player !== player) release(held.player);
+	players[serviceName] = {"client": client, "player": player};
+	let contentId = null; // Statuses of an idle player no longer say what it was playing
+	player.on('status', (status) => {
+		logger.info(`Player state for ${serviceName}: ${status.playerState}`, status);
+		let media = mediaStatus(status);
+		if (media.contentId) contentId = media.contentId;
+		bus.publish("chromecast.status", Object.assign({"device": serviceName}, media));
+		// Between the items of a queue the player is idle while it loads the next one
+		if (status.playerState === 'IDLE' && status.idleReason && !status.loadingItemId) {
+			bus.publish("chromecast.finished", {"device": serviceName, "contentId": media.contentId || contentId,
+			                                    "idleReason": status.idleReason});
+		}
+	});
+	player.on('close', () => {
+		if (players[serviceName] && players[serviceName].player === player) delete players[serviceName];
+	});
+}
+
+// Close our connection to an app, if the receiver hasn't already
+function release(player) {
+	if (player.connection) player.close();
+}
+
+// cb(err, player) with the player for media on the default media receiver, joining the receiver's
+// session if it was started by another connection, e.g. before we reconnected or restarted, or by
+// another sender
+function attach(client, serviceName, cb) {
+	let held = players[serviceName];
+	if (held && held.client === client) {
+		cb(null, held.player);
+		return;
+	}
+	client.getStatus((err, receiver) => {
+		if (err) {
+			cb(controlError(err));
+			return;
+		}
+		let session = (receiver && receiver.applications || []).find(app => app.appId === DefaultMediaReceiver.APP_ID);
+		if (!session) {
+			logger.error(`Cannot control non-existent player, aborting.`,{"serviceName": serviceName});
+			cb(errors.relayError(errors.NO_PLAYER, `No active player on ${serviceName}.`));
+			return;
+		}
+		client.join(session, DefaultMediaReceiver, (err, player) => {
+			if (err) {
+				cb(controlError(err));
+				return;
+			}
+			logger.info(`Attached to media session on ${serviceName}.`);
+			hold(serviceName, client, player);
+			// Requests on the media session need its ID, which we only learn from a status
+			player.getStatus(() => cb(null, player));
+		});
+	});
+}
+
+// The parts of a media status worth reporting, or an idle player if nothing is loaded
+function mediaStatus(status) {
+	if (!status) return {"playerState": "IDLE"};
+	let media = status.media || {};
+	return {"contentId": media.contentId || null,
+	        "contentType": media.contentType || null,
+	        "streamType": media.streamType || null,
+	        "title": media.metadata && media.metadata.title || null,
+	        "playerState": status.playerState,
+	        "idleReason": status.idleReason || null,
+	        "currentTime": status.currentTime,
+	        "duration": media.duration == null ? null : media.duration,
+	        "repeatMode": status.repeatMode || null};
+}
+
+// Ask a device what it is running and, if it is playing media, the player state.
+// cb(err, {receiver, media}) where media is null unless the default media receiver is running
+function status(serviceName, cb) {
+	withClient(serviceName, (client, done) => {
+		client.getStatus((err, receiver) => {
+			if (err) {
+				done(errors.relayError(errors.CAST_CONTROL_FAILED, `Unable to get status of ${serviceName}.`, err));
+				return;
+			}
+			let session = (receiver.applications || []).find(app => app.appId === DefaultMediaReceiver.APP_ID);
+			if (!session) {
+				done(null, {"receiver": receiver, "media": null});
+				return;
+			}
+			attach(client, serviceName, (err, player) => {
+				if (err) done(null, {"receiver": receiver, "media": null});
+				else player.getStatus((err, media) => done(null, {"receiver": receiver, "media": err ? null : media || null}));
 			});
+		});
+	}, cb);
+}
+
+// Set the volume of the receiver to level, between 0 and 1, unmuting it so it can be heard
+function setLevel(client, level, cb) {
+	client.setVolume({"muted": false}, err => {
+		if (err) cb(err);
+		else client.setVolume({"level": level}, cb);
+	});
+}
+
+// Volume is a property of the device rather than of the media, so these go to the receiver itself
+function controlVolume(serviceName, commandObj, cb) {
+	withClient(serviceName, (client, done) => {
+		let respond = (err, volume) => {
+			if (err) logger.error(`Problem while setting volume for ${serviceName}.`,err);
+			else logger.info(`Volume for ${serviceName}:`,volume);
+			done(controlError(err), volume);
+		};
+		if (commandObj.type === VOLUME) {
+			logger.info(`Setting volume of ${serviceName} to ${commandObj.level}.`);
+			setLevel(client, commandObj.level, respond);
+		}
+		else {
+			logger.info(`${commandObj.type === MUTE ? 'Muting' : 'Unmuting'} ${serviceName}.`);
+			client.setVolume({"muted": commandObj.type === MUTE}, respond);
 		}
-		else if (commandObj.type === SEEK) {
-			if (!commandObj.currentTime || !Number.isInteger(commandObj.currentTime) || commandObj.currentTime < 0) {
-				logger.error(`Invalid seek request, missing or invalid time signature.`,commandObj)
+	}, cb);
+}
+
+// Run operation(serviceName, cb) against several devices in parallel. cb(err, results) where results
+// maps each device to {status} or {error}, and err is only set if every device failed
+function fanOut(serviceNames, operation, cb) {
+	let results = {};
+	let remaining = serviceNames.length;
+	let failures = [];
+	if (remaining === 0) {
+		cb(errors.relayError(errors.DEVICE_NOT_FOUND, `No Chromecasts to play on.`), results);
+		return;
+	}
+	serviceNames.forEach(serviceName => {
+		operation(serviceName, (err, status) => {
+			if (results.hasOwnProperty(serviceName)) return;
+			if (err) {
+				results[serviceName] = {"error": errors.describe(err)};
+				failures.push(err);
 			}
-			else {
-				logger.info(`Seeking ${serviceName} to ${commandObj.currentTime} seconds.`);
-				player.seek(commandObj.currentTime,(err,status) => {
-					if (err) logger.error(`Problem while seeking media for ${serviceName}.`,err);
-					else {
-						logger.info(`Status returned from ${serviceName}:`,status);
-					}
-				});
+			else results[serviceName] = {"status": status || null};
+			if (--remaining > 0) return;
+			if (failures.length < serviceNames.length) cb(null, results);
+			else cb(errors.relayError(failures[0].code, `Failed on all of ${serviceNames.join(', ')}.`, failures[0]), results);
+		});
+	});
+}
+
+function controlError(err) {
+	return err ? errors.relayError(errors.CAST_CONTROL_FAILED, `Chromecast rejected control request.`, err) : null;
+}
+
+// Control media that is being played, or the volume of the device
+// commandObj is of the form {type: "SEEK", currentTime: 60} or {type: "VOLUME", level: 0.5};
+// cb(err, status) is called with the player status once the receiver responds. Given an array of
+// service names, every one is controlled and cb is called as by fanOut
+function control(serviceName, commandObj, cb) {
+	cb = cb || (() => {});
+	if (Array.isArray(serviceName)) {
+		fanOut(serviceName, (name, done) => control(name, commandObj, done), cb);
+		return;
+	}
+	if (commandObj.type === VOLUME || commandObj.type === MUTE || commandObj.type === UNMUTE) {
+		if (commandObj.type === VOLUME && !(typeof commandObj.level === 'number' && commandObj.level >= 0 && commandObj.level <= 1)) {
+			logger.error(`Invalid volume request, missing or invalid level.`,commandObj)
+			cb(errors.relayError(errors.INVALID_COMMAND, `Invalid volume level.`));
+		}
+		else controlVolume(serviceName, commandObj, cb);
+	}
+	else {
+		withClient(serviceName, (client, done) => {
+			attach(client, serviceName, (err, player) => {
+				if (err) done(err);
+				else controlPlayer(serviceName, player, commandObj, done);
+			});
+		}, cb);
+	}
+}
+
+// Queue changes castv2-client has no call for, such as skipping and shuffling
+function queueUpdate(player, data, cb) {
+	player.media.sessionRequest(Object.assign({"type": "QUEUE_UPDATE"}, data), cb);
+}
+
+// Playback commands go to the player
+function controlPlayer(serviceName, player, commandObj, cb) {
+	let respond = action => (err,status) => {
+		if (err) logger.error(`Problem while ${action} for ${serviceName}.`,err);
+		else {
+			logger.info(`Status returned from ${serviceName}:`,status);
+		}
+		cb(controlError(err), status);
+	};
+	if (commandObj.type === STATUS) {
+		player.getStatus((err,status) => {
+			if (err) logger.error(`Problem while getting media status for ${serviceName}.`,err);
+			cb(controlError(err), err ? null : mediaStatus(status));
+		});
+	}
+	else if (!player.media.currentSession) {
+		logger.error(`No media loaded, aborting.`,{"serviceName": serviceName});
+		cb(errors.relayError(errors.NO_PLAYER, `No media loaded on ${serviceName}.`));
+	}
+	else if (commandObj.type === PLAY) {
+		logger.info(`Playing ${serviceName}.`);
+		player.play(respond(`playing media`));
+	}
+	else if (commandObj.type === PAUSE) {
+		logger.info(`Pausing ${serviceName}.`);
+		player.pause(respond(`pausing media`));
+	}
+	else if (commandObj.type === STOP) {
+		logger.info(`Stopping ${serviceName}.`);
+		player.stop(respond(`stopping media`));
+	}
+	else if (commandObj.type === SEEK) {
+		if (!commandObj.currentTime || !Number.isInteger(commandObj.currentTime) || commandObj.currentTime < 0) {
+			logger.error(`Invalid seek request, missing or invalid time signature.`,commandObj)
+			cb(errors.relayError(errors.INVALID_COMMAND, `Invalid seek time.`));
+		}
+		else {
+			logger.info(`Seeking ${serviceName} to ${commandObj.currentTime} seconds.`);
+			player.seek(commandObj.currentTime, respond(`seeking media`));
+		}
+	}
+	else if (commandObj.type === NEXT || commandObj.type === PREVIOUS) {
+		logger.info(`Skipping to the ${commandObj.type === NEXT ? 'next' : 'previous'} item on ${serviceName}.`);
+		queueUpdate(player, {"jump": commandObj.type === NEXT ? 1 : -1}, respond(`skipping`));
+	}
+	else if (commandObj.type === REPEAT) {
+		if (!REPEAT_MODES.includes(commandObj.repeatMode)) {
+			logger.error(`Invalid repeat request, missing or invalid repeat mode.`,commandObj)
+			cb(errors.relayError(errors.INVALID_COMMAND, `Invalid repeat mode.`));
+		}
+		else {
+			logger.info(`Setting repeat mode of ${serviceName} to ${commandObj.repeatMode}.`);
+			queueUpdate(player, {"repeatMode": commandObj.repeatMode}, respond(`setting repeat mode`));
+		}
+	}
+	else if (commandObj.type === SHUFFLE) {
+		logger.info(`Shuffling queue on ${serviceName}.`);
+		queueUpdate(player, {"shuffle": true}, respond(`shuffling queue`));
+	}
+	else {
+		cb(errors.relayError(errors.INVALID_COMMAND, `Unknown control command ${commandObj.type}.`));
+	}
+}
+
+// A sender for the app with the given ID, so it can be relaunched. Receivers that play media
+// all speak the same media protocol as the default one
+function receiverFor(appId) {
+	if (appId === DefaultMediaReceiver.APP_ID) return DefaultMediaReceiver;
+	function Receiver() {
+		DefaultMediaReceiver.apply(this, arguments);
+	}
+	util.inherits(Receiver, DefaultMediaReceiver);
+	Receiver.APP_ID = appId;
+	return Receiver;
+}
+
+// Note what needs putting back after an announcement: the volume, if the announcement is to be
+// played at its own level, and with options.restore, what was playing. cb(saved) with {volume,
+// appId, displayName, media, currentTime, playerState}, or null if there is nothing to put back.
+// If an earlier announcement is still waiting to put things back, that is taken over instead
+function snapshot(client, serviceName, options, cb) {
+	let saved = restores[serviceName];
+	if (saved) {
+		logger.debug(`Taking over restore of ${serviceName}.`);
+		delete restores[serviceName];
+		if (options.volume == null || saved.volume) cb(saved);
+		else client.getVolume((err, volume) => cb(Object.assign(saved, {"volume": err ? null : volume})));
+		return;
+	}
+	if (!options.restore && options.volume == null) {
+		cb(null);
+		return;
+	}
+	client.getStatus((err, receiver) => {
+		if (err || !receiver) {
+			cb(null);
+			return;
+		}
+		saved = {"volume": options.volume != null ? receiver.volume : null, "appId": null};
+		let nothing = () => cb(saved.volume ? saved : null);
+		let app = options.restore && (receiver.applications || []).find(app => !app.isIdleScreen);
+		if (!app) {
+			nothing();
+			return;
+		}
+		client.join(app, receiverFor(app.appId), (err, player) => {
+			if (err) {
+				nothing();
+				return;
 			}
+			player.getStatus((err, status) => {
+				// We only needed to look
+				release(player);
+				if (err || !status || !status.media || status.playerState === 'IDLE') {
+					logger.debug(`${app.displayName} on ${serviceName} is not playing media; nothing to restore.`);
+					nothing();
+					return;
+				}
+				logger.info(`Saving state of ${app.displayName} on ${serviceName}.`,
+				            {"contentId": status.media.contentId, "currentTime": status.currentTime});
+				cb(Object.assign(saved, {"appId": app.appId,
+				                         "displayName": app.displayName,
+				                         "media": status.media,
+				                         "currentTime": status.currentTime,
+				                         "playerState": status.playerState}));
+			});
+		});
+	});
+}
+
+// Relaunch the app in saved and reload its media where it left off
+function relaunch(client, serviceName, saved) {
+	client.launch(receiverFor(saved.appId), (err, restored) => {
+		if (err) {
+			logger.error(`Problem relaunching ${saved.displayName} on ${serviceName}.`, err);
+			return;
 		}
-	}	
+		if (saved.appId === DefaultMediaReceiver.APP_ID) hold(serviceName, client, restored);
+		else if (players[serviceName]) release(players[serviceName].player);
+		let options = {"autoplay": saved.playerState !== 'PAUSED'};
+		if (saved.media.streamType !== 'LIVE') options.currentTime = saved.currentTime;
+		restored.load(saved.media, options, (err, status) => {
+			if (err) logger.error(`Problem reloading ${saved.media.contentId} on ${serviceName}.`, err);
+			else logger.info(`Restored ${saved.displayName} on ${serviceName}: ${status.playerState}`);
+			// Other apps are theirs to control
+			if (saved.appId !== DefaultMediaReceiver.APP_ID) release(restored);
+		});
+	});
 }
 
-function cast(serviceName, mediaUrl, mediaType, cb) {
-	if (!chromecasts[serviceName]) {
-		logger.error(`Invalid service name, aborting.`,{"serviceName": serviceName});
-		return
+// Put back the volume and then what was playing, as noted by snapshot
+function putBack(client, serviceName, saved) {
+	let next = () => {
+		if (saved.appId) relaunch(client, serviceName, saved);
+	};
+	if (!saved.volume) {
+		next();
+		return;
 	}
-	logger.debug(`Creating cast client for service ${serviceName}.`);
-	let client = new Client();
-	logger.debug(`Connecting to cast client.`,{serviceName: chromecasts[serviceName]});
-	client.connect(chromecasts[serviceName], () => {
-		logger.info(`Connected to service. Loading media.`,{"mediaUrl": mediaUrl});
-		client.launch(DefaultMediaReceiver, (err,player) => {
-			let media = {
-				contentId: mediaUrl,
-				contentType: mediaType,
-				streamType: `BUFFERED`
+	logger.info(`Restoring volume of ${serviceName} to ${saved.volume.level}.`);
+	client.setVolume({"level": saved.volume.level}, err => {
+		if (err) logger.error(`Problem restoring volume of ${serviceName}.`, err);
+		if (!saved.volume.muted) next();
+		else client.setVolume({"muted": true}, () => next());
+	});
+}
+
+// Put back saved once the announcement on player has finished
+function restoreAfter(client, player, serviceName, saved) {
+	restores[serviceName] = saved;
+	let timer = null;
+	let stop = () => {
+		clearTimeout(timer);
+		player.removeListener('status', onStatus);
+		client.removeListener('error', stop);
+		// A later announcement may have taken over
+		let owned = restores[serviceName] === saved;
+		if (owned) delete restores[serviceName];
+		return owned;
+	};
+	let onStatus = status => {
+		// Between the items of a queue the player is idle while it loads the next one
+		if (status.playerState !== 'IDLE' || !status.idleReason || status.loadingItemId) return;
+		if (!stop()) return;
+		logger.info(`Announcement on ${serviceName} ${status.idleReason}; restoring.`);
+		putBack(client, serviceName, saved);
+	};
+	player.on('status', onStatus);
+	timer = setTimeout(() => {
+		logger.warn(`Announcement on ${serviceName} still playing; not restoring.`);
+		stop();
+	}, RESTORE_TIMEOUT);
+	client.on('error', stop);
+}
+
+// The media description for an item {url, contentType, streamType, title, subtitle, artwork}
+function mediaFor(item) {
+	let media = {
+		contentId: item.url,
+		contentType: item.contentType,
+		streamType: item.streamType || BUFFERED
+	}
+	if (item.title || item.subtitle || item.artwork) {
+		media.metadata = {"metadataType": 0, "title": item.title, "subtitle": item.subtitle,
+		                  "images": item.artwork ? [{"url": item.artwork}] : []};
+	}
+	return media;
+}
+
+// Launch the default media receiver, ending whatever app was running, and have load(player, cb)
+// load media into it. Whatever snapshot saved is put back once the media has finished
+function launch(client, serviceName, saved, load, finish) {
+	client.launch(DefaultMediaReceiver, (err,player) => {
+		if (err) {
+			logger.error(`Problem launching media receiver.`,err);
+			if (saved) putBack(client, serviceName, saved);
+			finish(errors.relayError(errors.CAST_LAUNCH_FAILED, `Unable to launch media receiver on ${serviceName}.`, err));
+			return;
+		}
+		hold(serviceName, client, player);
+
+		// Actually play the media
+		load(player, (err, status) => {
+			if (err) logger.error(`Problem playing media.`,err);
+			else logger.info(`Media playing. Player state for ${serviceName}: ${status.playerState}`);
+			if (err) {
+				finish(errors.relayError(errors.CAST_LOAD_FAILED, `Unable to load media on ${serviceName}.`, err));
+				// The launch has already stopped what was playing
+				if (saved) putBack(client, serviceName, saved);
+			}
+			else {
+				finish(null, status);
+				if (saved) restoreAfter(client, player, serviceName, saved);
 			}
-			players[serviceName] = player;
-      player.on('status', (status) => {
-      	logger.info(`Player state for ${serviceName}: ${status.playerState}`, status);
-      });
-      logger.info(`Playing media on ${player.session.displayName} on ${serviceName}`, media);
-
-      // Actually play the media
-      player.load(media, { autoplay: true }, (err, status) => {
-      	if (err) logger.error(`Problem playing media.`,err);
-      	else logger.info(`Media playing. Player state for ${serviceName}: ${status.playerState}`);
-			})
 		});
 	});
+}
 
-	client.on('error', function(err) {
-		logger.error(`Client returned error. Closing.`, err)
-	  client.close();
-	  players[serviceName] = null;
+// Play media loaded by load(player, cb) over client, at the announcement volume and noting what to
+// put back afterwards as options ask
+function announce(client, serviceName, options, load, finish) {
+	logger.info(`Connected to service ${serviceName}. Loading media.`);
+	snapshot(client, serviceName, options, saved => {
+		if (options.volume == null) launch(client, serviceName, saved, load, finish);
+		else setLevel(client, options.volume, err => {
+			if (err) logger.error(`Problem setting announcement volume for ${serviceName}.`, err);
+			launch(client, serviceName, saved, load, finish);
+		});
 	});
+}
+
+// Count the outcome of casting to a device on its way to cb
+function counted(serviceName, cb) {
+	return (err, status) => {
+		metrics.inc("assistant_helper_casts_total", {"device": serviceName});
+		if (err) metrics.inc("assistant_helper_cast_failures_total", {"device": serviceName, "code": err.code || errors.INTERNAL_ERROR});
+		cb(err, status);
+	};
+}
+
+// Play mediaUrl on serviceName. cb(err, status) is called once with the player status from the
+// load, or with the first error from connecting, launching or loading. Given an array of service
+// names, the media is played on all of them at once and cb is called as by fanOut.
+// options: {restore} - put back whatever was playing once the media has finished
+//          {volume} - play at this level, between 0 and 1, and put the old level back afterwards
+//          {streamType} - one of STREAM_TYPES, BUFFERED if not given
+function cast(serviceName, mediaUrl, mediaType, options, cb) {
+	options = options || {};
+	if (Array.isArray(serviceName)) {
+		fanOut(serviceName, (name, done) => cast(name, mediaUrl, mediaType, options, done), cb || (() => {}));
+		return;
+	}
+
+	let media = mediaFor({"url": mediaUrl, "contentType": mediaType, "streamType": options.streamType});
+	let load = (player, done) => {
+		logger.info(`Playing media on ${player.session.displayName} on ${serviceName}`, media);
+		player.load(media, { autoplay: true }, done);
+	};
+	withClient(serviceName, (client, finish) => announce(client, serviceName, options, load, finish),
+	           counted(serviceName, cb || (() => {})));
 };
 
-module.exports = {cast: cast, control: control, PLAY: PLAY, PAUSE: PAUSE, STOP: STOP, SEEK: SEEK};
+// Play items [{url, contentType, streamType, title, subtitle, artwork}] in order as the receiver's
+// queue, with cb and arrays of service names as for cast.
+// options: as for cast, and
+//          {repeatMode} - one of REPEAT_MODES, REPEAT_OFF if not given
+//          {append} - add the items to the end of the queue that is playing rather than replacing it.
+//                     Nothing is interrupted, so there is nothing to restore
+function playlist(serviceName, items, options, cb) {
+	options = options || {};
+	if (Array.isArray(serviceName)) {
+		fanOut(serviceName, (name, done) => playlist(name, items, options, done), cb || (() => {}));
+		return;
+	}
+
+	let queueItems = items.map(item => ({"media": mediaFor(item), "autoplay": true}));
+	let load = (player, done) => {
+		logger.info(`Playing queue of ${items.length} items on ${player.session.displayName} on ${serviceName}`,
+		            {"items": items.map(item => item.url)});
+		player.queueLoad(queueItems, {"repeatMode": options.repeatMode || "REPEAT_OFF"}, done);
+	};
+	withClient(serviceName, (client, finish) => {
+		if (!options.append) {
+			announce(client, serviceName, options, load, finish);
+			return;
+		}
+		attach(client, serviceName, (err, player) => {
+			let session = !err && player.media.currentSession;
+			if (err && err.code !== errors.NO_PLAYER) finish(err);
+			// With nothing playing to add to, start a new queue
+			else if (!session || session.playerState === 'IDLE') announce(client, serviceName, options, load, finish);
+			else {
+				logger.info(`Adding ${items.length} items to queue on ${serviceName}.`, {"items": items.map(item => item.url)});
+				player.queueInsert(queueItems, {}, (err, status) => {
+					if (err) logger.error(`Problem adding to queue on ${serviceName}.`,err);
+					finish(err ? errors.relayError(errors.CAST_LOAD_FAILED, `Unable to add to queue on ${serviceName}.`, err) : null,
+					       status);
+				});
+			}
+		});
+	}, counted(serviceName, cb || (() => {})));
+}
+
+module.exports = {configure: configure, discovery: discovery, list: list, status: status, cast: cast, playlist: playlist, control: control,
+                  PLAY: PLAY, PAUSE: PAUSE, STOP: STOP, SEEK: SEEK, VOLUME: VOLUME, MUTE: MUTE, UNMUTE: UNMUTE,
+                  STATUS: STATUS, NEXT: NEXT, PREVIOUS: PREVIOUS, REPEAT: REPEAT, SHUFFLE: SHUFFLE,
+                  BUFFERED: BUFFERED, LIVE: LIVE, STREAM_TYPES: STREAM_TYPES, REPEAT_MODES: REPEAT_MODES};
@@ -0,0 +1,63 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Codes reported to callers when a relay execution fails, so automations can branch on them
+const USER_NOT_FOUND = "USER_NOT_FOUND",
+      ASSISTANT_NOT_READY = "ASSISTANT_NOT_READY",
+      ASSISTANT_ERROR = "ASSISTANT_ERROR",
+      BROADCAST_NOT_PROMPTED = "BROADCAST_NOT_PROMPTED",
+      AUDIO_TOO_LONG = "AUDIO_TOO_LONG",
+      AUDIO_CONVERSION_FAILED = "AUDIO_CONVERSION_FAILED",
+      SOUND_NOT_FOUND = "SOUND_NOT_FOUND",
+      FILE_ERROR = "FILE_ERROR",
+      TTS_FAILED = "TTS_FAILED",
+      QUOTA_EXCEEDED = "QUOTA_EXCEEDED",
+      DEVICE_NOT_FOUND = "DEVICE_NOT_FOUND",
+      DEVICE_OFFLINE = "DEVICE_OFFLINE",
+      NO_PLAYER = "NO_PLAYER",
+      INVALID_COMMAND = "INVALID_COMMAND",
+      CAST_CONNECTION_FAILED = "CAST_CONNECTION_FAILED",
+      CAST_LAUNCH_FAILED = "CAST_LAUNCH_FAILED",
+      CAST_LOAD_FAILED = "CAST_LOAD_FAILED",
+      CAST_CONTROL_FAILED = "CAST_CONTROL_FAILED",
+      INTERRUPTED = "INTERRUPTED",
+      INTERNAL_ERROR = "INTERNAL_ERROR";
+
+// Create an Error carrying one of the codes above. cause is the underlying error, if any
+function relayError(code, message, cause) {
+  let err = new Error(message);
+  err.code = code;
+  if (cause) err.cause = cause.message || String(cause);
+  return err;
+}
+
+// The serializable form of an error, as stored on jobs and returned to callers
+function describe(err) {
+  let description = {"code": err.code || INTERNAL_ERROR, "message": err.message || String(err)};
+  if (err.cause) description.cause = err.cause;
+  return description;
+}
+
+module.exports = {relayError: relayError, describe: describe,
+                  USER_NOT_FOUND: USER_NOT_FOUND, ASSISTANT_NOT_READY: ASSISTANT_NOT_READY,
+                  ASSISTANT_ERROR: ASSISTANT_ERROR, BROADCAST_NOT_PROMPTED: BROADCAST_NOT_PROMPTED,
+                  AUDIO_TOO_LONG: AUDIO_TOO_LONG, AUDIO_CONVERSION_FAILED: AUDIO_CONVERSION_FAILED,
+                  SOUND_NOT_FOUND: SOUND_NOT_FOUND, FILE_ERROR: FILE_ERROR,
+                  TTS_FAILED: TTS_FAILED, QUOTA_EXCEEDED: QUOTA_EXCEEDED, DEVICE_NOT_FOUND: DEVICE_NOT_FOUND,
+                  DEVICE_OFFLINE: DEVICE_OFFLINE, NO_PLAYER: NO_PLAYER,
+                  INVALID_COMMAND: INVALID_COMMAND, CAST_CONNECTION_FAILED: CAST_CONNECTION_FAILED,
+                  CAST_LAUNCH_FAILED: CAST_LAUNCH_FAILED, CAST_LOAD_FAILED: CAST_LOAD_FAILED,
+                  CAST_CONTROL_FAILED: CAST_CONTROL_FAILED, INTERRUPTED: INTERRUPTED, INTERNAL_ERROR: INTERNAL_ERROR};
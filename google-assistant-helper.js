@@ -21,18 +21,54 @@ const https = require('https'),
       GoogleAssistant = require('google-assistant'),
       serveStatic = require('serve-static'),
       ipfilter = require('express-ipfilter').IpFilter,
-      config = require('./config.json'),
       fs = require('fs'),
       ip = require('ip'),
       path = require('path'),
-      crypto = require('crypto'),
+      jobs = require('./jobs'),
+      errors = require('./errors'),
+      audio = require('./audio'),
+      sessions = require('./sessions'),
+      auth = require('./auth'),
+      limits = require('./limits'),
+      quiet = require('./quiet'),
+      ttscache = require('./ttscache'),
+      settings = require('./settings'),
+      library = require('./sounds'),
+      metrics = require('./metrics'),
+      oauth = require('./oauth'),
+      bus = require('./bus'),
+      webhooks = require('./webhooks'),
 
       app = express(); // ExpressJS instance for external relay endpoints
 
+// The validated config, with defaults filled in. Reloading it updates this object in place
+const configPath = process.env.HELPER_CONFIG || path.join(__dirname, 'config.json');
+const loaded = settings.load(configPath, process.env);
+loaded.warnings.forEach(w => logger.warn(`Config: ${w}`));
+if (loaded.errors.length > 0) {
+  loaded.errors.forEach(e => logger.error(`Config: ${e}`));
+  logger.error(`Invalid config ${configPath}. Exiting.`);
+  process.exit(3);
+}
+const config = loaded.config;
+
       // ExpressJS instance for internal chromecast serving - instantiated later
-var staticApp = null;
+var staticApp = null,
+    staticServerError = null, // Why the static server couldn't listen, if it couldn't
+    staticListening = false;
+
+// What each user's assistant is doing, as reported by the health and readiness routes
+const UNAUTHORIZED = "unauthorized", // No saved tokens, so waiting to be authorized
+      STARTING = "starting",
+      READY = "ready",
+      FAILED = "failed",
+      UNAUTHENTICATED = "unauthenticated";
+
+const startedAt = Date.now();
 
 const assistants = {}, // Map from username to assistant
+      startingAssistants = {}, // Map from username to the assistant being started for them
+      assistantStates = {}, // Map from username to {state, since, error}
       audioBuffers = {}, // Map from conversation to audio buffer
       relayRoutes = {}; // Map from relay to route
 
@@ -41,21 +77,58 @@ const AUDIO_IN_LINEAR16 = "LINEAR16";
 
 const AUDIO_OUT_LINEAR16 = "LINEAR16";
 
-const MAX_BUFFER_LENGTH = 280000,
-      MAX_SILENCE_LENGTH = 8000,
-      SILENCE_THRESHOLD = 100;
+// Limits on audio sent to the Assistant, in bytes of 16 kHz mono LINEAR16 (32000 bytes per second).
+// Set from the "audio" config by applyConfig
+var MAX_BUFFER_LENGTH, // Longest buffer the Assistant will take
+    MAX_SILENCE_LENGTH, // Silences are shortened to this
+    CHUNK_SILENCE_LENGTH, // Shortest silence long responses are split at
+    SILENCE_THRESHOLD; // Samples quieter than this count as silence
 
-const validRelays = ["broadcast", "broadcastAudio", "custom", "chromecastAudio",
-                        "chromecastTTS", "chromecastURL", "chromecastControl"];
+const tts = require('./tts');
+if (config.relays.chromecastTTS.on) tts.configure(config.relays.chromecastTTS);
 
-const tts = (config.relays.chromecastTTS.on) ? require('@google-cloud/text-to-speech') : null;
-const ttsClient = (tts) ? new tts.TextToSpeechClient({keyFilename: `${config.relays.chromecastTTS.apiCredentialPath}`}) : null;
+// Announcements are composed into the TTS cache
+const announcement = require('./announcement');
 
 const silence = new Int16Array(32000); // one second of silence, initialized to 0
 
 // Helps to keep track of what message is for what conversation with multiple streams
 var conversationCounter = 0;
 
+// Persisted queue of relay executions
+const jobsConfig = config.jobs || {},
+      jobsRoute = jobsConfig.route || "/jobs",
+      waitTimeout = jobsConfig.waitTimeoutInSecs || 60; // Longest we hold a "wait" request open
+
+// Administrative endpoints live under this route
+const adminRoute = (config.admin && config.admin.route) || "/admin";
+
+// Sounds uploaded through the API, kept apart from config.json
+const soundsConfig = config.sounds || {},
+      soundsRoute = soundsConfig.route || "/sounds",
+      maxSoundBytes = soundsConfig.maxBytes || 10485760;
+library.init(soundsConfig.path || "sounds");
+
+// Rate limits, TTS quotas and deduplication
+const limitsRoute = (config.limits && config.limits.route) || "/limits";
+
+// Chromecast discovery and static device entries
+const devicesRoute = (config.cast && config.cast.route) || "/devices";
+var castConfig = config.cast;
+
+// Quiet hours of users, zones and devices, and do-not-disturb toggled by hand
+const dndRoute = (config.dnd && config.dnd.route) || "/dnd";
+var maxDeferInSecs; // Longest a request is held while do-not-disturb has no end
+
+// Health, readiness and Prometheus metrics, for probes and scrapers that can't sign requests
+const monitoringConfig = config.monitoring || {},
+      healthRoute = monitoringConfig.healthRoute || "/healthz",
+      readyRoute = monitoringConfig.readyRoute || "/readyz",
+      metricsRoute = monitoringConfig.metricsRoute || "/metrics";
+
+// Events streamed to clients and sent to webhooks
+const eventsRoute = (config.events && config.events.route) || "/events";
+
 // Winston logger configuration
 var winstonConfig = {
   transports: [
@@ -83,285 +156,1403 @@ logger.debug(`Logger initialized`);
 // Load cast. This must be after the logger is configured to use the same default
 const cast = require('./cast');
 
-// Use JSON middleware
-app.use(express.json());
+// Use JSON middleware, keeping the raw body for checking request signatures. Sound uploads carry
+// the audio base64 encoded, so may be much larger than other requests
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use([`${soundsRoute}/upload`, `${soundsRoute}/probe`],
+        express.json({limit: Math.ceil(maxSoundBytes / 3) * 4 + 65536, verify: keepRawBody}));
+app.use(express.json({verify: keepRawBody}));
 
 // Add middleware to catch body parser errors
 app.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    logger.info(`Request body of ${err.length} bytes is too large, returning 413`);
+    res.status(413).send({"result":"Request too large"});
+    return;
+  }
   logger.error(`Error parsing JSON, returning 400`,err);
   res.status(400).send({"result":"Malformed JSON"});
 });
 
 var router = express.Router({caseSensitive: true});
 
-// Build the routes
-var compositeRoute = [];
-Object.keys(config.relays).forEach(k => {
-  if (config.relays[k].on) {
-    if (!validRelays.includes(k)) { // If this isn't an allowed relay
-      logger.error(`Invalid relay "${k}", aborting.`);
-    }
-    else if (!config.relays[k].route) {
-      logger.error(`Route not defined for relay ${k}, aborting.`);
-      process.exit(3);
-    }
-    compositeRoute.push(config.relays[k].route);
-    // Validate and set relays
-    relayRoutes[k] = config.relays[k].route;
-  }
+// Work out who each request is from before routing it, as checking a hashed key takes a while
+router.use((req, res, next) => {
+  auth.identify(req, principal => {
+    req.auth = principal;
+    next();
+  });
 });
-if (compositeRoute.length == 0) {
+
+// Derive everything that follows from the config, at startup and again whenever it is reloaded:
+// the relay routes, the audio limits, and each module's view of the users, zones and limits
+function applyConfig() {
+  let audioLimits = config.audio || {};
+  MAX_BUFFER_LENGTH = audioLimits.maxBufferLength || 280000;
+  MAX_SILENCE_LENGTH = audioLimits.maxSilenceLength || 8000;
+  CHUNK_SILENCE_LENGTH = audioLimits.chunkSilenceLength || 16000;
+  SILENCE_THRESHOLD = audioLimits.silenceThreshold || 100;
+  castConfig = config.cast;
+  maxDeferInSecs = (config.dnd && config.dnd.maxDeferInSecs) || 86400;
+
+  Object.keys(relayRoutes).forEach(k => delete relayRoutes[k]);
+  settings.RELAYS.filter(k => config.relays[k] && config.relays[k].on).forEach(k => relayRoutes[k] = config.relays[k].route);
+  if (relayRoutes["chromecastAnnouncement"] != null) {
+    announcement.configure({"cachePath": config.relays.chromecastTTS.cachePath,
+                            "ffmpegPath": config.ffmpegPath,
+                            "sampleRate": config.relays.chromecastAnnouncement.sampleRate});
+  }
+
+  // Relay keys, hashed keys and signing secrets
+  auth.configure(config.users, config.auth || {});
+  limits.init(config.limits || {}, config.users);
+  quiet.configure(config.users, castConfig);
+  cast.configure(castConfig);
+  library.configure({"ffmpegPath": config.ffmpegPath, "maxBufferLength": MAX_BUFFER_LENGTH,
+                     "maxSilenceLength": MAX_SILENCE_LENGTH, "silenceThreshold": SILENCE_THRESHOLD});
+  sessions.configure(config.sessions || {});
+  webhooks.configure((config.events || {}).webhooks);
+}
+
+applyConfig();
+if (Object.keys(relayRoutes).length == 0) {
   logger.error(`No services active; no routes configured. Exiting.`);
   process.exit(2);
 }
 
-logger.debug(`Binding POST route for ${compositeRoute}`);
-// Broadcasts & custom text commands
-router.post(compositeRoute, function (req, res) {
+// Check whether the request carried a valid key or signature for the user named in it
+function authenticate(req) {
+  return req.auth != null;
+}
+
+// Check that the request is from a user allowed to administer the server, with a key allowed to
+function authenticateAdmin(req) {
+  return authenticate(req) && config.users[req.auth.user].admin === true &&
+         (req.auth.scope == null || req.auth.scope.admin === true);
+}
+
+// Count relay requests by the status they were answered with
+metrics.define("assistant_helper_requests_total", metrics.COUNTER, "Relay requests answered, by relay and HTTP status.");
+function countRequests(req, res, next) {
+  res.on('finish', () => {
+    let relay = relayFor(req.path);
+    if (relay != null) metrics.inc("assistant_helper_requests_total", {"relay": relay, "status": res.statusCode});
+  });
+  next();
+}
+
+// The relay a route belongs to
+function relayFor(route) {
+  return Object.keys(relayRoutes).find(k => relayRoutes[k] === route);
+}
+
+// Check whether the key a request was made with may play on or control all of devices, a name or an
+// array of them as from chromecastsFor
+function permittedTargets(req, devices) {
+  let scope = req.auth.scope;
+  if (scope == null || scope.targets == null) return true;
+  let allowed = chromecastsFor(req.auth.user, scope.targets);
+  return [].concat(devices).every(device => allowed.includes(device));
+}
+
+// Check whether the key a request was made with may use relay and, for Chromecast relays, the
+// devices the request is for
+function permitted(req, relay) {
+  let scope = req.auth.scope;
+  if (scope == null) return true;
+  if (scope.relays != null && !scope.relays.includes(relay)) return false;
+  return !relay.startsWith("chromecast") || permittedTargets(req, chromecastsFor(req.auth.user, req.body.targets));
+}
+
+// Build a TTS request for text, applying the defaults of user (if any) and then the relay.
+// options may carry ssml, voice and audioConfig as in a chromecastTTS request
+function ttsRequestFor(user, options) {
+  let userDefaults = (user && config.users[user] && config.users[user].tts) || {};
+  // Default voice unless a voice has been specified, the user's own default before the relay's
+  let voice = options.voice ? options.voice :
+              userDefaults.voice ? userDefaults.voice : {languageCode: config.relays.chromecastTTS.defaultLanguage,
+                                                         ssmlGender: config.relays.chromecastTTS.defaultGender};
+  // Audio profile settings are merged, so a request can e.g. only change the speaking rate
+  let audioConfig = Object.assign({}, config.relays.chromecastTTS.defaultAudioConfig,
+                                  userDefaults.audioConfig, options.audioConfig);
+  return {"text": options.command != null ? options.command : options.text,
+          "ssml": options.ssml === true,
+          "voice": voice,
+          "audioConfig": audioConfig};
+}
+
+// Render a list of TTS requests one at a time, so a long pre-warm list doesn't hit the API all at
+// once. Each item is a string, or an object with text and optionally user, ssml, voice and audioConfig.
+// cb(results) with the rendition or error for each item
+function prerender(items, cb) {
+  let results = [];
+  let next = (i) => {
+    if (i >= items.length) {
+      cb(results);
+      return;
+    }
+    let item = typeof items[i] === 'string' ? {"text": items[i]} : items[i];
+    tts.render(ttsRequestFor(item.user, item), (err, rendition) => {
+      if (err) results.push({"text": item.text, "error": errors.describe(err)});
+      else results.push({"text": item.text, "filename": rendition.filename,
+                         "provider": rendition.provider, "cached": rendition.cached});
+      next(i+1);
+    });
+  };
+  next(0);
+}
+
+// Answer a request that quiet hours drop. Returns whether it was dropped
+function dropped(req, res, queued) {
+  if (queued) return false;
+  res.status(200).send({"result": `Dropped during quiet hours.`, "dropped": true});
+  return true;
+}
+
+// Queue a relay execution and tell the caller which job it became, unless quiet hours drop it
+function enqueue(req, res, relay, params, message) {
+  if (!withinRateLimit(req, res, relay)) return;
+  let queued = duringQuietHours(req, relay, params);
+  if (dropped(req, res, queued)) return;
+  let job = jobs.submit({"user": req.auth.user, "relay": queued.relay, "params": queued.params, "delayInSecs": queued.delayInSecs});
+  if (queued.fields.deferred && queued.until == null) quiet.deferred(queued.fields.quietFor, job.id);
+  limits.remember(req.auth.user, relay, req.body, job.id);
+  reply(req, res, job, message, queued.fields);
+}
+
+// What becomes of a request for relay if it would run during the quiet hours of its user, or of a
+// zone or device it plays on, and its priority doesn't let it through. Returns {relay, params,
+// delayInSecs, until, fields} for the job to queue, deferred to the end of the quiet period or
+// downgraded to something quieter, with fields saying which, or null if it is to be dropped
+function duringQuietHours(req, relay, params) {
+  let user = req.auth.user;
+  let queued = {"relay": relay, "params": params, "delayInSecs": req.body.delayInSecs, "fields": {}};
+  // Only relays that make a sound are held back. Custom commands broadcast the Assistant's response
+  // as text if not as audio, so they are too
+  if (relay === "chromecastControl") return queued;
+  let devices = relay.startsWith("chromecast") ? [].concat(chromecastsFor(user, params.targets)) : [];
+  let period = quiet.check(user, devices, Date.now() + (req.body.delayInSecs || 0) * 1000);
+  if (!period || quiet.bypasses(req.body.priority, period)) return queued;
+  queued.fields.quietFor = period.name;
+  if (period.policy === quiet.DEFER) {
+    // Do-not-disturb with no end holds the request until it is turned off, or for a day at most
+    let until = period.until != null ? period.until : Date.now() + maxDeferInSecs * 1000;
+    logger.info(`Deferring request by user ${user} to ${new Date(until)}, the end of quiet hours for ${period.name}.`);
+    queued.delayInSecs = Math.max(0, (until - Date.now()) / 1000);
+    queued.until = period.until;
+    queued.fields.deferred = true;
+    return queued;
+  }
+  let downgraded = period.policy === quiet.DOWNGRADE ? downgrade(user, relay, params, req.body.command, period.volume) : null;
+  if (!downgraded) {
+    logger.info(`Dropping request by user ${user} during quiet hours for ${period.name}.`);
+    return null;
+  }
+  logger.info(`Downgrading ${relay} request by user ${user} to ${downgraded.relay} during quiet hours for ${period.name}.`);
+  queued.relay = downgraded.relay;
+  queued.params = downgraded.params;
+  queued.fields.downgradedTo = downgraded.relay;
+  return queued;
+}
+
+// Let a job held by do-not-disturb that has been turned off run, at the end of any other quiet
+// period it still falls in: scheduled quiet hours, or do-not-disturb of another of its user, zones
+// and devices, which then holds it in turn
+function releaseDeferred(id) {
+  let job = jobs.get(id);
+  if (!job || job.status !== jobs.PENDING) return;
+  let devices = job.relay.startsWith("chromecast") && config.users.hasOwnProperty(job.user) ?
+                [].concat(chromecastsFor(job.user, job.params.targets)) : [];
+  let period = quiet.check(job.user, devices, Date.now());
+  if (!period) jobs.reschedule(id, 0);
+  else if (period.until != null) {
+    logger.info(`Job ${id} is still in quiet hours for ${period.name}; deferring it to ${new Date(period.until)}.`);
+    jobs.reschedule(id, (period.until - Date.now()) / 1000);
+  }
+  else quiet.deferred(period.name, id);
+}
+
+// A quieter version of a request, as {relay, params}: broadcasts are cast to the user's own device
+// instead, Chromecast requests play at volume at most, and custom commands run as queries, their
+// responses kept for the job's outcome rather than broadcast. Returns null if there is no quieter version
+function downgrade(user, relay, params, command, volume) {
+  let userVolume = config.users[user].announcementVolume;
+  let quieter = v => Math.min(v != null ? v : (userVolume != null ? userVolume : 1), volume);
+  if (relay === "broadcast") {
+    if (relayRoutes["chromecastTTS"] == null) return null;
+    let ttsRequest = ttsRequestFor(user, {"text": command});
+    return {"relay": "chromecastTTS", "params": {"command": ttsRequest.text, "ssml": ttsRequest.ssml, "voice": ttsRequest.voice,
+                                                 "audioConfig": ttsRequest.audioConfig, "announcementVolume": quieter(null)}};
+  }
+  if (relay === "broadcastAudio") {
+    if (relayRoutes["chromecastAudio"] == null || !soundFor("chromecastAudio", command)) return null;
+    return {"relay": "chromecastAudio", "params": {"command": command, "announcementVolume": quieter(null)}};
+  }
+  if (relay === "custom") return {"relay": relay, "params": {"command": params.command, "query": true}};
+  return {"relay": relay, "params": Object.assign({}, params, {"announcementVolume": quieter(params.announcementVolume)})};
+}
+
+// Tell the caller which job their request became, adding fields to the response. With "wait": true
+// in the request, hold the response until the job has run and report its actual outcome
+function reply(req, res, job, message, fields) {
+  if (!req.body.wait) {
+    res.status(200).send(Object.assign({"result": message, "jobId": job.id, "runAt": new Date(job.runAt)}, fields));
+    return;
+  }
+  let timeout = setTimeout(() => {
+    logger.info(`Job ${job.id} still ${job.status} after ${waitTimeout} seconds; returning without outcome.`);
+    res.status(202).send(Object.assign({"result": message, "jobId": job.id, "runAt": new Date(job.runAt), "status": job.status},
+                                       fields));
+  }, waitTimeout * 1000);
+  jobs.wait(job.id, job => {
+    if (res.headersSent) return;
+    clearTimeout(timeout);
+    if (job.status === jobs.SUCCEEDED) {
+      res.status(200).send(Object.assign({"result": message, "jobId": job.id, "status": job.status, "outcome": job.result},
+                                         fields));
+    }
+    else if (job.status === jobs.CANCELLED) {
+      res.status(409).send(Object.assign({"result": `Job cancelled.`, "jobId": job.id, "status": job.status}, fields));
+    }
+    else {
+      // Casts to several devices carry each device's outcome even when all of them failed
+      res.status(500).send(Object.assign({"result": `Execution failed.`, "jobId": job.id, "status": job.status,
+                                          "error": job.error, "outcome": job.result}, fields));
+    }
+  });
+}
+
+// Decide whether to handle an authenticated request for relay. It is refused if its key may not be
+// used for the relay, and an identical request made within the dedup window is answered with the job
+// the first one became. Returns false if it has been answered
+function admit(req, res, relay) {
+  let user = req.auth.user;
+  if (!permitted(req, relay)) {
+    logger.info(`Key ${req.auth.key} of user ${user} may not be used for ${relay} or its targets, denying access.`);
+    res.status(403).send({"result": `Access denied.`});
+    return false;
+  }
+  let duplicate = jobs.get(limits.duplicateOf(user, relay, req.body));
+  if (duplicate) {
+    logger.info(`Request by user ${user} duplicates job ${duplicate.id}; not queueing it again.`);
+    reply(req, res, duplicate, `Duplicate of a recent request.`, {"duplicate": true});
+    return false;
+  }
+  return true;
+}
+
+// Count a request that has been found valid against its user's rate limit for relay, once however
+// often it is called, before any work is done for it. Returns false if it has been answered
+function withinRateLimit(req, res, relay) {
+  if (req.rateLimited) return true;
+  req.rateLimited = true;
+  let retryAfter = limits.take(req.auth.user, relay);
+  if (retryAfter != null) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).send({"result": `Too many requests.`, "retryAfterInSecs": retryAfter});
+    return false;
+  }
+  return true;
+}
+
+// Render speech for user within their daily TTS character quota, which is only charged for text
+// that has to be synthesized rather than found in the cache
+function renderFor(user, request, cb) {
+  if (!limits.allowCharacters(user, tts.cached(request) ? 0 : request.text.length)) {
+    cb(errors.relayError(errors.QUOTA_EXCEEDED, `User ${user} has used up today's TTS characters.`));
+    return;
+  }
+  tts.render(request, (err, rendition) => {
+    if (!err && !rendition.cached) limits.chargeCharacters(user, request.text.length);
+    cb(err, rendition);
+  });
+}
+
+logger.debug(`Binding POST route for relays`);
+// Broadcasts & custom text commands. Relay routes can change when the config is reloaded, so they are
+// matched on each request
+router.post('*', function (req, res, next) {
+  if (relayFor(req.path) == null) {
+    next();
+    return;
+  }
   let command = req.body.command;
   let user = req.body.user;
-  let relayKey = req.body.relayKey;
   let delay = req.body.delayInSecs;
 
   // Make sure we have everything we need
-  if (command == null || user == null || relayKey == null) {
-    if (relayKey) relayKey = `[Redacted]`;
-    logger.info(`Malformed request, returning 400: command: "${command}", user: ${user}, relayKey: ${relayKey}.`);
+  if (command == null || user == null || !auth.presented(req)) {
+    logger.info(`Malformed request, returning 400: command: "${command}", user: ${user}, credentials: ${auth.presented(req) ? '[Redacted]' : 'none'}.`);
+    res.status(400).send({"result":"Malformed request"});
+  }
+  else if ((delay != null && !(typeof delay === 'number' && delay >= 0)) ||
+           (req.body.wait != null && typeof req.body.wait !== 'boolean') ||
+           (req.body.restore != null && typeof req.body.restore !== 'boolean') ||
+           (req.body.announcementVolume != null && !(typeof req.body.announcementVolume === 'number' &&
+                                                     req.body.announcementVolume >= 0 && req.body.announcementVolume <= 1)) ||
+           (req.body.targets != null && !(Array.isArray(req.body.targets) && req.body.targets.length > 0 &&
+                                          req.body.targets.every(t => typeof t === 'string'))) ||
+           (req.body.priority != null && !quiet.PRIORITIES.includes(req.body.priority))) {
+    logger.info(`Invalid delayInSecs ${delay}, wait, restore, announcementVolume, targets or priority, returning 400.`);
     res.status(400).send({"result":"Malformed request"});
   }
   else {
-    logger.info(`Received request: command: "${command}", user: ${user}, relayKey: [Redacted], delayInSecs: ${delay}`);
-    // Check whether we have the right PSK for the user
-    if (config.users[user] && relayKey === config.users[user].relayKey) {
+    logger.info(`Received request: command: "${command}", user: ${user}, credentials: [Redacted], delayInSecs: ${delay}`);
+    // Check whether we have the right key for the user
+    if (authenticate(req)) {
+      if (!admit(req, res, relayFor(req.path))) return;
       // If this is an audio broadcast route, send audio broadcast
       if (relayRoutes["broadcastAudio"] != null && req.path === config.relays.broadcastAudio.route) {
-        // command is the name of the predefined sound, look up and send
-        if (!config.relays.broadcastAudio.sounds[command]) {
+        // command is the name of the predefined or uploaded sound, look up and send
+        let sound = soundFor("broadcastAudio", command);
+        if (!sound) {
           logger.error(`No sound ${command} configured. Aborting.`);
           res.status(500).send({"result": `Server error.`});
         }
-        else if (!(config.relays.broadcastAudio.sounds[command].format === AUDIO_OUT_LINEAR16)) {
-          logger.error(`Invalid format ${config.sounds[command].format} - only FLAC and LINEAR16 allowed. Aborting.`);
+        else if (!audio.FORMATS.includes(sound.format)) {
+          logger.error(`Invalid format ${sound.format} - only ${audio.FORMATS.join(', ')} allowed. Aborting.`);
           res.status(500).send({"result": `Server error.`});
         }
         else {
-          logger.info(`Sending sound ${command} via broadcast for user ${user}.`);
-          setTimeout(() => {sendBroadcastAudio(config.relays.broadcastAudio.sounds[command].path,
-                                               user,
-                                               config.relays.broadcastAudio.sounds[command].format)},
-                     delay == null ? 0 : delay * 1000);
-          res.status(200).send({"result":`Played ${command} via broadcast.`});
+          logger.info(`Queueing sound ${command} via broadcast for user ${user}.`);
+          enqueue(req, res, "broadcastAudio", {"command": command}, `Queued ${command} via broadcast.`);
         }
       }
       // If this is the Chromecast TTS route
       else if (relayRoutes["chromecastTTS"] != null && req.path === config.relays.chromecastTTS.route) {
-        let voice = req.body.voice ? req.body.voice : {languageCode: config.relays.chromecastTTS.defaultLanguage,
-                                                       ssmlGender: config.relays.chromecastTTS.defaultGender};
-        let voiceString = `${voice.languageCode}_${voice.ssmlGender}_${voice.name}`;
-        let encodedCommand = crypto.createHash('sha1').update(command+voiceString).digest('hex');
-        // If we have a cached copy
-        if (fs.existsSync(`${config.relays.chromecastTTS.cachePath}/${encodedCommand}.mp3`)) {
-          logger.debug(`Cache hit for TTS request "${command}" via Chromecast for user ${user}.`);
+        if ((req.body.ssml != null && typeof req.body.ssml !== 'boolean') ||
+            (req.body.voice != null && typeof req.body.voice !== 'object') ||
+            (req.body.audioConfig != null && typeof req.body.audioConfig !== 'object')) {
+          logger.error(`Malformed TTS request. Aborting.`);
+          res.status(400).send({"result":"Malformed request"});
         }
-        else { // If we don't have a cached copy
-          logger.debug(`Cache miss for TTS request "${command}" via Chromecast for user ${user}.`);
-          // Default voice unless a voice has been specified
-          let ttsRequest = {
-            input: {text: command},
-            voice: voice,
-            audioConfig: {audioEncoding: 'MP3'}
-          }
-          ttsClient.synthesizeSpeech(ttsRequest, (e, response) => {
-            if (e) {
-              logger.error(`Problem synthesizing speech.`, e);
-              res.status(500).send({"result": 'Server error.'});
+        else {
+          if (!withinRateLimit(req, res, "chromecastTTS")) return;
+          // Don't spend synthesis or the user's TTS characters on a request quiet hours drop
+          if (dropped(req, res, duringQuietHours(req, "chromecastTTS", {"targets": req.body.targets}))) return;
+          let ttsRequest = ttsRequestFor(user, req.body);
+          // Synthesize before accepting, so failures reach the caller and the file is ready to be cast
+          renderFor(user, ttsRequest, (err, rendition) => {
+            if (err) {
+              logger.error(`Problem synthesizing speech for TTS request "${command}".`, err);
+              res.status(err.code === errors.QUOTA_EXCEEDED ? 429 : 500).send({"result": `Server error.`, "error": errors.describe(err)});
               return;
             }
-            fs.writeFileSync(`${config.relays.chromecastTTS.cachePath}/${encodedCommand}.mp3`,
-                             response.audioContent,
-                             'binary',
-                             e => {
-                              if (e) {                            
-                                logger.error(`Problem synthesizing speech.`, e);
-                                res.status(500).send({"result": 'Server error.'});
-                                return;
-                              }
-                              logger.debug(`Successfully wrote ${config.relays.chromecastTTS.cachePath}/${encodedCommand}.mp3 to disk.`);
-                             });
+            logger.info(`Queueing TTS request "${command}" via Chromecast for user ${user}.`);
+            enqueue(req, res, "chromecastTTS", {"command": command, "ssml": ttsRequest.ssml,
+                                                "voice": ttsRequest.voice, "audioConfig": ttsRequest.audioConfig,
+                                                "filename": rendition.filename, "contentType": rendition.contentType,
+                                                "targets": req.body.targets, "restore": req.body.restore,
+                                                "announcementVolume": req.body.announcementVolume},
+                    `Queued ${command} via Chromecast.`);
           });
         }
-        setTimeout(() => {cast.cast(config.users[user].chromecastFriendlyName,
-                               `http://${ip.address()}:${config.staticServer.port}${config.staticServer.route}/${encodedCommand}.mp3`,'audio/mp3')},
-                   delay == null ? 0 : delay * 1000);
-        res.status(200).send({"result": `Played ${command} via Chromecast.`});              
       }
       // If this is the Chromecast route
       else if (relayRoutes["chromecastAudio"] != null && req.path === config.relays.chromecastAudio.route) {
-        if (!config.relays.chromecastAudio.sounds[command]) {
+        if (!soundFor("chromecastAudio", command)) {
           logger.error(`No sound ${command} configured. Aborting.`);
           res.status(500).send({"result": 'Server error.'});
         }
         else {
-          logger.info(`Sending sound ${command} via Chromecast for user ${user}.`);
-          setTimeout(() => {cast.cast(config.users[user].chromecastFriendlyName,
-                                 `http://${(ip.address())}:${config.staticServer.port}${config.staticServer.route}/${path.basename(config.relays.chromecastAudio.sounds[command].path)}`,config.relays.chromecastAudio.sounds[command].contentType)},
-                     delay == null ? 0 : delay * 1000);
-          res.status(200).send({"result": `Played ${command} via Chromecast.`});
+          logger.info(`Queueing sound ${command} via Chromecast for user ${user}.`);
+          enqueue(req, res, "chromecastAudio", {"command": command, "targets": req.body.targets, "restore": req.body.restore,
+                                                "announcementVolume": req.body.announcementVolume},
+                  `Queued ${command} via Chromecast.`);
         }
       }
       // If this is the ChromecastURL route
       else if (relayRoutes["chromecastURL"] != null && req.path === config.relays.chromecastURL.route) {
+        if ((req.body.items != null && !validPlaylist(req.body.items)) ||
+            (req.body.streamType != null && !cast.STREAM_TYPES.includes(req.body.streamType)) ||
+            (req.body.repeatMode != null && !cast.REPEAT_MODES.includes(req.body.repeatMode)) ||
+            (req.body.append != null && typeof req.body.append !== 'boolean')) {
+          logger.error(`Malformed Chromecast URL request. Aborting.`);
+          res.status(400).send({"result":"Malformed request"});
+        }
+        // A playlist carries its URLs in items, and command is just what to call it
+        else if (req.body.items != null) {
+          logger.info(`Queueing playlist ${command} of ${req.body.items.length} items via Chromecast for user ${user}.`);
+          enqueue(req, res, "chromecastURL", {"command": command, "items": req.body.items,
+                                              "repeatMode": req.body.repeatMode, "append": req.body.append,
+                                              "targets": req.body.targets, "restore": req.body.restore,
+                                              "announcementVolume": req.body.announcementVolume},
+                  `Queued ${command} via Chromecast.`);
+        }
         // If we are missing contentType, error out
-        if (!req.body.contentType) {
+        else if (!req.body.contentType) {
           logger.error(`Missing contentType. Aborting.`);
           res.status(500).send({"result": 'Server error, missing contentType.'});
         }
         else {
-          logger.info(`Sending contentId=${command}, contentType=${req.body.contentType} via Chromecast for user ${user}.`);
-          setTimeout(() => {cast.cast(config.users[user].chromecastFriendlyName,command,req.body.contentType)},
-                     delay == null ? 0 : delay * 1000);
-          res.status(200).send({"result": `Played ${command} via Chromecast.`});
+          logger.info(`Queueing contentId=${command}, contentType=${req.body.contentType} via Chromecast for user ${user}.`);
+          enqueue(req, res, "chromecastURL", {"command": command, "contentType": req.body.contentType,
+                                              "streamType": req.body.streamType,
+                                              "targets": req.body.targets, "restore": req.body.restore,
+                                              "announcementVolume": req.body.announcementVolume},
+                  `Queued ${command} via Chromecast.`);
+        }
+      }
+      // If this is the Chromecast announcement route
+      else if (relayRoutes["chromecastAnnouncement"] != null && req.path === config.relays.chromecastAnnouncement.route) {
+        if (!validSteps(req.body.steps)) {
+          logger.error(`Malformed announcement request. Aborting.`);
+          res.status(400).send({"result":"Malformed request"});
+        }
+        else {
+          if (!withinRateLimit(req, res, "chromecastAnnouncement")) return;
+          if (dropped(req, res, duringQuietHours(req, "chromecastAnnouncement", {"targets": req.body.targets}))) return;
+          // Prepare before accepting, as for TTS, so failures reach the caller and the audio is ready to be cast
+          prepareAnnouncement(user, command, req.body.steps, (err, prepared) => {
+            if (err) {
+              logger.error(`Problem preparing announcement ${command}.`, err);
+              res.status(err.code === errors.QUOTA_EXCEEDED ? 429 : 500).send({"result": `Server error.`, "error": errors.describe(err)});
+              return;
+            }
+            logger.info(`Queueing announcement ${command} via Chromecast for user ${user}.`);
+            enqueue(req, res, "chromecastAnnouncement", {"command": command, "steps": req.body.steps,
+                                                         "filename": prepared.filename, "contentType": prepared.contentType,
+                                                         "targets": req.body.targets, "restore": req.body.restore,
+                                                         "announcementVolume": req.body.announcementVolume},
+                    `Queued ${command} via Chromecast.`);
+          });
         }
       }
+      // A status request on the Chromecast control route is answered directly; there is nothing to schedule
+      else if (relayRoutes["chromecastControl"] != null && req.path === config.relays.chromecastControl.route &&
+               command === cast.STATUS) {
+        if (delay != null) {
+          logger.info(`Status requested with delayInSecs, returning 400.`);
+          res.status(400).send({"result":"Malformed request"});
+          return;
+        }
+        if (!withinRateLimit(req, res, "chromecastControl")) return;
+        logger.info(`Getting media status via Chromecast for user ${user}.`);
+        cast.control(chromecastsFor(user, req.body.targets), {type: cast.STATUS}, (err, status) => {
+          if (err) res.status(500).send({"result": `Execution failed.`, "error": errors.describe(err), "outcome": status});
+          else res.status(200).send({"result": status});
+        });
+      }
       // If this is the Chromecast control route
       else if (relayRoutes["chromecastControl"] != null && req.path === config.relays.chromecastControl.route) {
         // Check whether valid command, sanitize
         if (req.body.command && (req.body.command === cast.PLAY ||
                                  req.body.command === cast.PAUSE ||
                                  req.body.command === cast.STOP ||
+                                 req.body.command === cast.MUTE ||
+                                 req.body.command === cast.UNMUTE ||
+                                 req.body.command === cast.NEXT ||
+                                 req.body.command === cast.PREVIOUS ||
+                                 req.body.command === cast.SHUFFLE ||
+                                 (req.body.command === cast.REPEAT &&
+                                  cast.REPEAT_MODES.includes(req.body.repeatMode)) ||
                                  (req.body.command === cast.SEEK &&
                                   req.body.currentTime &&
                                   Number.isInteger(req.body.currentTime) &&
-                                  req.body.currentTime >= 0))) {
+                                  req.body.currentTime >= 0) ||
+                                 (req.body.command === cast.VOLUME &&
+                                  typeof req.body.level === 'number' &&
+                                  req.body.level >= 0 && req.body.level <= 1))) {
           let ctl = {type: req.body.command};
           if (req.body.command === cast.SEEK) ctl.currentTime = req.body.currentTime;
-          logger.info(`Sending control request via Chromecast for user ${user}.`,ctl);
-          setTimeout(() => {cast.control(config.users[user].chromecastFriendlyName,ctl)},
-                     delay == null ? 0 : delay * 1000);
-          res.status(200).send({"result": `Send control request ${command} via Chromecast.`});
+          if (req.body.command === cast.VOLUME) ctl.level = req.body.level;
+          if (req.body.command === cast.REPEAT) ctl.repeatMode = req.body.repeatMode;
+          logger.info(`Queueing control request via Chromecast for user ${user}.`,ctl);
+          enqueue(req, res, "chromecastControl", {"command": command, "control": ctl, "targets": req.body.targets},
+                  `Queued control request ${command} via Chromecast.`);
         }
         else {
           logger.error(`Malformed request. Aborting.`);
           res.status(500).send({"result": 'Malfored request.'});
         }
       }
+      // If this is a query on the custom route, answer directly rather than queueing: there is
+      // nothing to schedule, and the caller wants the Assistant's response rather than a broadcast.
+      // Follow-ups to a query the Assistant asked about carry the sessionId it was given
+      else if ((req.body.query || req.body.sessionId != null) &&
+               relayRoutes["custom"] != null && req.path === config.relays.custom.route) {
+        let session = null;
+        if (delay != null) {
+          logger.info(`Query requested with delayInSecs, returning 400.`);
+          res.status(400).send({"result":"Malformed request"});
+          return;
+        }
+        if (req.body.sessionId != null) {
+          session = sessions.get(req.body.sessionId);
+          if (!session || session.user !== user) {
+            logger.info(`Session ${req.body.sessionId} not found for user ${user}.`);
+            res.status(404).send({"result": `Session not found.`});
+            return;
+          }
+          if (session.busy) {
+            res.status(409).send({"result": `Session is busy.`});
+            return;
+          }
+        }
+        if (!withinRateLimit(req, res, "custom")) return;
+        if (session) session.busy = true;
+        logger.info(`Querying "${command}" for user ${user}.`, {"sessionId": req.body.sessionId});
+        sendTextInput(command, user, {"query": true,
+                                      "includeAudio": req.body.includeAudio === true,
+                                      "conversationState": session ? session.state : null}, (err, result, state) => {
+          if (err) {
+            if (session) sessions.end(session.id);
+            res.status(500).send({"result": `Execution failed.`, "error": errors.describe(err)});
+          }
+          else {
+            let response = {"result": `Executed ${command}`, "outcome": result};
+            // Keep the dialog open only while the Assistant is waiting on an answer
+            if (result.followUp) response.sessionId = sessions.save(session ? session.id : null, user, state);
+            else if (session) sessions.end(session.id);
+            res.status(200).send(response);
+          }
+        });
+      }
       // If this is broadcast text or custom
       else {
+        let relay = "custom";
         // If this is a broadcast route, add broadcast
         if (relayRoutes["broadcast"] != null && req.path === config.relays.broadcast.route) {
+          relay = "broadcast";
           command = `broadcast ${command}`
         }
-        logger.info(`Sending "${command}" for user ${user}.`);
-        setTimeout(() => {sendTextInput(command, user, req.body.broadcastAudioResponse)},
-                   delay == null ? 0 : delay * 1000);
-        res.status(200).send({"result": `Executed ${command}`});
+        logger.info(`Queueing "${command}" for user ${user}.`);
+        enqueue(req, res, relay, {"command": command, "broadcastAudioResponse": req.body.broadcastAudioResponse},
+                `Queued ${command}`);
       }
     }
     // Else bail
     else {
-      logger.info(`Invalid relayKey for user ${user}, denying access.`);
+      logger.info(`Invalid credentials for user ${user}, denying access.`);
       res.status(403).send({"result": `Access denied.`});
     }
   }
 });
 
-logger.debug(`Binding GET route for ${compositeRoute}`);
-// Method not allowed for GET
-router.get(compositeRoute, (req, res) => res.status(405).send({"result":`Method not allowed.`}));
+// Perform a queued relay execution. cb(err, result) records the outcome on the job
+function executeJob(job, cb) {
+  let user = job.user,
+      params = job.params;
 
-logger.debug(`Binding all route for *`);
-// 404s for everything else
-router.all('*', (req, res) => res.status(404).send({"result":`Page not found.`}));
+  if (!config.users.hasOwnProperty(user)) {
+    cb(errors.relayError(errors.USER_NOT_FOUND, `User ${user} not found.`));
+  }
+  else if (job.relay === "broadcastAudio") {
+    let sound = soundFor("broadcastAudio", params.command);
+    if (!sound) cb(errors.relayError(errors.SOUND_NOT_FOUND, `No sound ${params.command} configured.`));
+    else {
+      logger.info(`Sending sound ${params.command} via broadcast for user ${user}.`);
+      sendBroadcastAudio(sound.path, user, sound.format, cb);
+    }
+  }
+  else if (job.relay === "chromecastTTS") {
+    // The rendition made when the request was accepted may have been evicted by now if it was delayed
+    if (params.filename && tts.rendered(params.filename)) {
+      logger.info(`Playing TTS request "${params.command}" via Chromecast for user ${user}.`);
+      cast.cast(chromecastsFor(user, params.targets), mediaUrl(params.filename), params.contentType,
+                castOptionsFor(user, params), cb);
+    }
+    else {
+      sendTTS({"text": params.command, "ssml": params.ssml, "voice": params.voice, "audioConfig": params.audioConfig},
+              user, chromecastsFor(user, params.targets), castOptionsFor(user, params), cb);
+    }
+  }
+  else if (job.relay === "chromecastAudio") {
+    let sound = soundFor("chromecastAudio", params.command);
+    if (!sound) cb(errors.relayError(errors.SOUND_NOT_FOUND, `No sound ${params.command} configured.`));
+    else {
+      logger.info(`Sending sound ${params.command} via Chromecast for user ${user}.`);
+      cast.cast(chromecastsFor(user, params.targets), sound.url, sound.contentType, castOptionsFor(user, params), cb);
+    }
+  }
+  else if (job.relay === "chromecastURL" && params.items) {
+    logger.info(`Sending playlist ${params.command} via Chromecast for user ${user}.`);
+    cast.playlist(chromecastsFor(user, params.targets), params.items,
+                  Object.assign(castOptionsFor(user, params), {"repeatMode": params.repeatMode, "append": params.append}), cb);
+  }
+  else if (job.relay === "chromecastURL") {
+    logger.info(`Sending contentId=${params.command}, contentType=${params.contentType} via Chromecast for user ${user}.`);
+    cast.cast(chromecastsFor(user, params.targets), params.command, params.contentType,
+              Object.assign(castOptionsFor(user, params), {"streamType": params.streamType}), cb);
+  }
+  else if (job.relay === "chromecastAnnouncement") {
+    let devices = chromecastsFor(user, params.targets);
+    // The file composed when the request was accepted may have been evicted by now if it was delayed,
+    // and queued announcements are put together again in case any of their parts were
+    if (params.filename && tts.rendered(params.filename)) {
+      logger.info(`Playing announcement ${params.command} via Chromecast for user ${user}.`);
+      playAnnouncement(params, devices, castOptionsFor(user, params), cb);
+    }
+    else {
+      prepareAnnouncement(user, params.command, params.steps, (err, prepared) => {
+        if (err) cb(err);
+        else {
+          logger.info(`Playing announcement ${params.command} via Chromecast for user ${user}.`);
+          playAnnouncement(prepared, devices, castOptionsFor(user, params), cb);
+        }
+      });
+    }
+  }
+  else if (job.relay === "chromecastControl") {
+    logger.info(`Sending control request via Chromecast for user ${user}.`,params.control);
+    cast.control(chromecastsFor(user, params.targets), params.control, cb);
+  }
+  else if (job.relay === "broadcast" || job.relay === "custom") {
+    logger.info(`Sending "${params.command}" for user ${user}.`);
+    sendTextInput(params.command, user, {"broadcastAudioResponse": params.broadcastAudioResponse, "query": params.query}, cb);
+  }
+  else {
+    cb(errors.relayError(errors.INTERNAL_ERROR, `Unknown relay ${job.relay}.`));
+  }
+}
 
-// express-winston logger first
-app.use(expressWinston.logger(winstonConfig));
-// Then router
-app.use(router);
-// Then express-winston error logger
-app.use(expressWinston.errorLogger(winstonConfig));
+// The devices a Chromecast request plays on: the names in its targets, with zones from the config
+// expanded, or otherwise the user's own device
+function chromecastsFor(user, targets) {
+  if (!targets) return config.users[user].chromecastFriendlyName;
+  let zones = castConfig.zones || {};
+  let names = [];
+  targets.forEach(target => {
+    (zones.hasOwnProperty(target) ? zones[target] : [target]).forEach(name => {
+      if (!names.includes(name)) names.push(name);
+    });
+  });
+  return names;
+}
+
+// How to play media for a request: restore and the volume are taken from the request, else from the
+// user's restoreMedia and announcementVolume
+function castOptionsFor(user, params) {
+  let userConfig = config.users[user];
+  return {"restore": params.restore != null ? params.restore : userConfig.restoreMedia === true,
+          "volume": params.announcementVolume != null ? params.announcementVolume : userConfig.announcementVolume};
+}
 
-// Chunk a large audio buffer into several smaller buffers at silence points
-function chunkBuffer(buf, minSamples, maxLength, threshold) {
-  let bufs = [];
-  let start = 0;
-  let end = null;
+// Playlists are non-empty lists of {url, contentType, streamType, title, subtitle, artwork}, of which
+// url and contentType are required
+function validPlaylist(items) {
+  let optional = value => value == null || typeof value === 'string';
+  return Array.isArray(items) && items.length > 0 &&
+         items.every(item => item != null && typeof item === 'object' &&
+                             typeof item.url === 'string' && item.url.length > 0 &&
+                             typeof item.contentType === 'string' && item.contentType.length > 0 &&
+                             (item.streamType == null || cast.STREAM_TYPES.includes(item.streamType)) &&
+                             optional(item.title) && optional(item.subtitle) && optional(item.artwork));
+}
 
-  let endMarks = [];
+// Announcements are non-empty lists of steps, each one of {sound}, {text, ssml, voice, audioConfig}
+// and {pauseInSecs}, pauses being at most a minute
+function validSteps(steps) {
+  return Array.isArray(steps) && steps.length > 0 &&
+         steps.every(step => step != null && typeof step === 'object' &&
+                             [step.sound, step.text, step.pauseInSecs].filter(value => value != null).length === 1 &&
+                             (step.sound == null || typeof step.sound === 'string') &&
+                             (step.text == null || (typeof step.text === 'string' && step.text.length > 0)) &&
+                             (step.pauseInSecs == null || (typeof step.pauseInSecs === 'number' &&
+                                                           step.pauseInSecs > 0 && step.pauseInSecs <= 60)) &&
+                             (step.ssml == null || typeof step.ssml === 'boolean') &&
+                             (step.voice == null || typeof step.voice === 'object') &&
+                             (step.audioConfig == null || typeof step.audioConfig === 'object'));
+}
 
-  logger.debug(`Chunking buffer of length ${buf.length} with maximum chunk length ${maxLength} with minimum silence length ${minSamples} samples.`);
+// Turn the steps of an announcement into audio: sounds are those of the chromecastAudio relay or the
+// sound library, speech is rendered as for chromecastTTS and pauses are silence. The parts are composed into one cached
+// file, or played as a queue if the relay's render option is off or they can't be combined.
+// cb(err, {filename, contentType}) for a composed file or cb(err, {items}) for a queue
+function prepareAnnouncement(user, command, steps, cb) {
+  let parts = [];
 
-  for (let i = 0; i < buf.length; i+=2) {
-    if (buf.readInt16LE(i) < threshold) {
-      if (end == null) { // If this is the beginning fencepost
-        start = i;
+  let queue = () => {
+    let items = [];
+    let add = (i) => {
+      if (i >= parts.length) {
+        cb(null, {"items": items});
+        return;
       }
-      end = i;
-    }
-    else if (end != null) { // If we are ending a window of silence
-      if (end-start+2 > minSamples) {
-        // If we under the boundary and if this is long enough, mark end
-        if (i < maxLength) {
-          endMarks.push(i);
-        }
-        // If we have crossed the maximum length, slice and start over
+      if (parts[i].pauseInSecs == null) {
+        items.push({"url": parts[i].url, "contentType": parts[i].contentType, "title": command});
+        add(i+1);
+        return;
+      }
+      announcement.silence(parts[i].pauseInSecs, (err, rendition) => {
+        if (err) cb(err);
         else {
-          // If we have no silences, abort
-          if (endMarks.length == 0) {
-            logger.error(`Unable to create chunk shorter than ${maxLength} from buffer. Aborting.`);
-            throw `Unable to create chunk shorter than ${maxLength} from buffer. Aborting.`;
-          }
-          logger.debug(`Creating chunk of length ${endMarks[endMarks.length-1]}, less than ${maxLength}.`,endMarks);
-          bufs.push(buf.slice(0,endMarks[endMarks.length-1]));
-          buf = buf.slice(endMarks[endMarks.length-1]);
-          i = 0;
-          start = 0;
-          endMarks = [];
+          items.push({"url": mediaUrl(rendition.filename), "contentType": rendition.contentType, "title": command});
+          add(i+1);
         }
-        end = null;
+      });
+    };
+    add(0);
+  };
+
+  let combine = () => {
+    if (config.relays.chromecastAnnouncement.render === false) {
+      queue();
+      return;
+    }
+    announcement.compose(parts, command, (err, rendition) => {
+      if (err && err.code === errors.AUDIO_CONVERSION_FAILED) {
+        logger.warn(`Unable to combine announcement ${command}; playing it as a queue.`, err);
+        queue();
       }
+      else if (err) cb(err);
+      else cb(null, {"filename": rendition.filename, "contentType": rendition.contentType});
+    });
+  };
+
+  let next = (i) => {
+    if (i >= steps.length) {
+      combine();
+      return;
     }
-  }
-  // Append last chunk
-  bufs.push(buf);
-  return bufs;
+    let step = steps[i];
+    if (step.pauseInSecs != null) {
+      parts.push({"pauseInSecs": step.pauseInSecs});
+      next(i+1);
+    }
+    else if (step.sound != null) {
+      let sound = soundFor("chromecastAudio", step.sound);
+      if (!sound) {
+        cb(errors.relayError(errors.SOUND_NOT_FOUND, `No sound ${step.sound} configured.`));
+        return;
+      }
+      parts.push({"file": sound.path, "contentType": sound.contentType, "url": sound.url});
+      next(i+1);
+    }
+    else {
+      renderFor(user, ttsRequestFor(user, step), (err, rendition) => {
+        if (err) cb(err);
+        else {
+          parts.push({"file": rendition.file, "contentType": rendition.contentType, "url": mediaUrl(rendition.filename)});
+          next(i+1);
+        }
+      });
+    }
+  };
+  next(0);
 }
 
-// Truncate any silences to at most maxSamples samples
-function truncateSilences(buf, maxSamples, threshold) {
-  let start = 0;
-  let end = null;
+// Play an announcement as prepared by prepareAnnouncement
+function playAnnouncement(prepared, devices, options, cb) {
+  if (prepared.filename) cast.cast(devices, mediaUrl(prepared.filename), prepared.contentType, options, cb);
+  else cast.playlist(devices, prepared.items, options, cb);
+}
 
-  for (let i = 0; i < buf.length; i+=2) {
-    if (buf.readInt16LE(i) < threshold) {
-      if (end == null) { // If this is the beginning fencepost
-        start = i;
-      }
-      end = i;
+// URL at which the Chromecasts can fetch a file from the static server
+function mediaUrl(filename) {
+  return `http://${ip.address()}:${config.staticServer.port}${config.staticServer.route}/${filename}`;
+}
+
+// The sound of the given name for relay, as {path, format, contentType, url}: one from the relay's
+// config, or else one from the sound library that suits the relay. url is where Chromecasts fetch it.
+// Returns null if there is no such sound
+function soundFor(relay, name) {
+  let configured = (config.relays[relay] && config.relays[relay].sounds) || {};
+  if (configured.hasOwnProperty(name)) {
+    let sound = configured[name];
+    return {"path": sound.path, "format": sound.format, "contentType": sound.contentType,
+            "url": mediaUrl(`sounds/${encodeURIComponent(name)}`)};
+  }
+  let entry = library.get(name);
+  if (!entry || !(relay === "broadcastAudio" ? entry.broadcast : entry.cast)) return null;
+  return {"path": library.file(entry), "format": entry.format, "contentType": entry.contentType, "url": mediaUrl(entry.filename)};
+}
+
+// Synthesize text (or reuse the cached rendition) and play it via Chromecast.
+// request is {text, ssml, voice, audioConfig}; devices and options as from chromecastsFor and castOptionsFor
+function sendTTS(request, user, devices, options, cb) {
+  let text = request.text;
+  renderFor(user, request, (err, rendition) => {
+    if (err) {
+      logger.error(`Problem synthesizing speech for TTS request "${text}".`, err);
+      cb(err);
+      return;
     }
-    else if (end != null) { // If we are ending a window of silence
-      if (end-start+2 > maxSamples) { 
-        let deleteCount = end-start-maxSamples+2;
-        buf = Buffer.concat([buf.slice(0,start),buf.slice(start+deleteCount)]);
+    logger.info(`Playing TTS request "${text}" from provider ${rendition.provider} via Chromecast for user ${user}.`);
+    cast.cast(devices, mediaUrl(rendition.filename), rendition.contentType, options, cb);
+  });
+}
 
-        // Move fencepost
-        i -= deleteCount;
-      }
-      end = null;
+// Whether the key a request was made with could have made job: one for a relay and devices it may use
+function permittedJob(req, job) {
+  let scope = req.auth.scope;
+  if (scope == null) return true;
+  if (scope.relays != null && !scope.relays.includes(job.relay)) return false;
+  return !job.relay.startsWith("chromecast") || permittedTargets(req, chromecastsFor(job.user, job.params.targets));
+}
+
+// Job queue inspection and management. Users may only see and touch their own jobs, and keys with a
+// scope only those they could have made
+function jobFor(req, res) {
+  if (!authenticate(req)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to jobs.`);
+    res.status(403).send({"result": `Access denied.`});
+    return null;
+  }
+  let job = jobs.get(req.params.id);
+  if (!job || job.user !== req.auth.user || !permittedJob(req, job)) {
+    res.status(404).send({"result": `Job not found.`});
+    return null;
+  }
+  return job;
+}
+
+logger.debug(`Binding job routes on ${jobsRoute}`);
+router.post(jobsRoute, (req, res) => {
+  if (!authenticate(req)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to jobs.`);
+    res.status(403).send({"result": `Access denied.`});
+  }
+  else res.status(200).send({"result": jobs.list(req.auth.user).filter(job => permittedJob(req, job))});
+});
+
+router.post(`${jobsRoute}/:id`, (req, res) => {
+  let job = jobFor(req, res);
+  if (job) res.status(200).send({"result": job});
+});
+
+router.post(`${jobsRoute}/:id/cancel`, (req, res) => {
+  let job = jobFor(req, res);
+  if (!job) return;
+  if (jobs.cancel(job.id)) res.status(200).send({"result": job});
+  else res.status(409).send({"result": `Job is ${job.status}, not pending.`});
+});
+
+router.post(`${jobsRoute}/:id/reschedule`, (req, res) => {
+  let delay = req.body.delayInSecs;
+  let job = jobFor(req, res);
+  if (!job) return;
+  if (!(typeof delay === 'number' && delay >= 0)) res.status(400).send({"result":"Malformed request"});
+  else if (jobs.reschedule(job.id, delay)) res.status(200).send({"result": job});
+  else res.status(409).send({"result": `Job is ${job.status}, not pending.`});
+});
+
+// Chromecast devices, as discovered by mDNS or configured statically
+logger.debug(`Binding device routes on ${devicesRoute}`);
+router.post(devicesRoute, (req, res) => {
+  if (!authenticate(req)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to devices.`);
+    res.status(403).send({"result": `Access denied.`});
+  }
+  else res.status(200).send({"result": cast.list().filter(device => permittedTargets(req, device.friendlyName))});
+});
+
+router.post(`${devicesRoute}/:name/status`, (req, res) => {
+  if (!authenticate(req) || !permittedTargets(req, req.params.name)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to devices.`);
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  cast.status(req.params.name, (err, status) => {
+    if (!err) res.status(200).send({"result": status});
+    else if (err.code === errors.DEVICE_NOT_FOUND) res.status(404).send({"result": `Device not found.`, "error": errors.describe(err)});
+    else res.status(502).send({"result": `Unable to get device status.`, "error": errors.describe(err)});
+  });
+});
+
+// Where users stand against their rate limits and TTS quotas. Admins see every user, and keys
+// limited to some relays only those relays
+logger.debug(`Binding limits route on ${limitsRoute}`);
+router.post(limitsRoute, (req, res) => {
+  if (!authenticate(req)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to limits.`);
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  let result = {};
+  if (authenticateAdmin(req)) Object.keys(config.users).forEach(user => result[user] = limits.counters(user));
+  else {
+    let counters = result[req.auth.user] = limits.counters(req.auth.user);
+    let relays = req.auth.scope && req.auth.scope.relays;
+    if (relays != null) Object.keys(counters.relays).filter(relay => !relays.includes(relay)).forEach(relay => delete counters.relays[relay]);
+  }
+  res.status(200).send({"result": result});
+});
+
+// Turn do-not-disturb on or off for the caller, or for a zone or device they may cast to, and
+// report whether it is quiet there. Silencing everything the user does takes a key that may use
+// every relay and device
+logger.debug(`Binding do-not-disturb route on ${dndRoute}`);
+router.post(dndRoute, (req, res) => {
+  if (!authenticate(req)) {
+    logger.info(`Invalid credentials for user ${req.body.user}, denying access to do-not-disturb.`);
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  let name = req.body.target != null ? req.body.target : req.auth.user;
+  let duration = req.body.durationInSecs;
+  if ((req.body.on != null && typeof req.body.on !== 'boolean') || typeof name !== 'string' ||
+      (duration != null && !(typeof duration === 'number' && duration > 0))) {
+    res.status(400).send({"result":"Malformed request"});
+  }
+  else if (req.body.target != null ? !permittedTargets(req, chromecastsFor(req.auth.user, [name])) :
+           req.auth.scope != null && (req.auth.scope.relays != null || req.auth.scope.targets != null)) {
+    res.status(403).send({"result": `Access denied.`});
+  }
+  else {
+    if (req.body.on === true) quiet.setDnd(name, duration != null ? Date.now() + duration * 1000 : null);
+    else if (req.body.on === false) {
+      // Requests held until do-not-disturb was turned off run now, unless they are still quiet
+      quiet.setDnd(name, false).forEach(releaseDeferred);
     }
+    res.status(200).send({"result": quiet.status(name)});
+  }
+});
+
+// Names of library sounds, which can't be those of the library's own endpoints
+function validSoundName(name) {
+  return typeof name === 'string' && /^[A-Za-z0-9_.-]{1,64}$/.test(name) && !["upload", "probe"].includes(name);
+}
+
+// Whether a sound of the given name is in the config of either audio relay, where it would hide a
+// library sound of the same name
+function configuredSound(name) {
+  return ["broadcastAudio", "chromecastAudio"].some(relay => config.relays[relay] && config.relays[relay].sounds &&
+                                                             config.relays[relay].sounds.hasOwnProperty(name));
+}
+
+// The audio uploaded as base64 data, answering the request and returning null if there is none or
+// it is too large
+function uploadedAudio(req, res) {
+  let data = typeof req.body.data === 'string' ? Buffer.from(req.body.data, 'base64') : null;
+  if (!data || data.length === 0 || (req.body.format != null && !audio.FORMATS.includes(req.body.format))) {
+    res.status(400).send({"result":"Malformed request"});
+    return null;
+  }
+  if (data.length > maxSoundBytes) {
+    res.status(413).send({"result": `Sound is ${data.length} bytes, larger than the maximum ${maxSoundBytes}.`});
+    return null;
+  }
+  return data;
+}
+
+// Answer a failed upload or probe
+function soundError(res, err) {
+  if (err.code === errors.AUDIO_CONVERSION_FAILED) res.status(422).send({"result": `Unable to read sound.`, "error": errors.describe(err)});
+  else res.status(500).send({"result": `Server error.`, "error": errors.describe(err)});
+}
+
+// The sound library. Any user can see what is in it; adding, renaming and deleting sounds is for admins
+logger.debug(`Binding sound library routes on ${soundsRoute}`);
+router.post(soundsRoute, (req, res) => {
+  if (!authenticate(req)) res.status(403).send({"result": `Access denied.`});
+  else res.status(200).send({"result": library.list()});
+});
+
+router.post(`${soundsRoute}/probe`, (req, res) => {
+  if (!authenticateAdmin(req)) {
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  let data = uploadedAudio(req, res);
+  if (!data) return;
+  library.probe(data, req.body.format, (err, metadata) => {
+    if (err) soundError(res, err);
+    else res.status(200).send({"result": Object.assign(metadata, {"bytes": data.length})});
+  });
+});
+
+router.post(`${soundsRoute}/upload`, (req, res) => {
+  let name = req.body.name;
+  if (!authenticateAdmin(req)) {
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  if (!validSoundName(name) || (req.body.overwrite != null && typeof req.body.overwrite !== 'boolean')) {
+    res.status(400).send({"result":"Malformed request"});
+    return;
+  }
+  if (configuredSound(name) || (library.get(name) && req.body.overwrite !== true)) {
+    res.status(409).send({"result": `Sound ${name} already exists.`});
+    return;
+  }
+  let data = uploadedAudio(req, res);
+  if (!data) return;
+  library.add(name, data, req.body.format, req.auth.user, (err, entry) => {
+    if (err) soundError(res, err);
+    else res.status(200).send({"result": entry});
+  });
+});
+
+router.post(`${soundsRoute}/:name`, (req, res) => {
+  let entry = library.get(req.params.name);
+  if (!authenticate(req)) res.status(403).send({"result": `Access denied.`});
+  else if (!entry) res.status(404).send({"result": `No sound ${req.params.name} in the library.`});
+  else res.status(200).send({"result": entry});
+});
+
+router.post(`${soundsRoute}/:name/rename`, (req, res) => {
+  let newName = req.body.newName;
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else if (!validSoundName(newName)) res.status(400).send({"result":"Malformed request"});
+  else if (!library.get(req.params.name)) res.status(404).send({"result": `No sound ${req.params.name} in the library.`});
+  else if (configuredSound(newName) || library.get(newName)) res.status(409).send({"result": `Sound ${newName} already exists.`});
+  else res.status(200).send({"result": library.rename(req.params.name, newName)});
+});
+
+router.post(`${soundsRoute}/:name/delete`, (req, res) => {
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else if (!library.remove(req.params.name)) res.status(404).send({"result": `No sound ${req.params.name} in the library.`});
+  else res.status(200).send({"result": `Deleted sound ${req.params.name}.`});
+});
+
+// TTS cache administration
+if (relayRoutes["chromecastTTS"] != null) {
+  logger.debug(`Binding TTS cache routes on ${adminRoute}/ttsCache`);
+  router.post(`${adminRoute}/ttsCache`, (req, res) => {
+    if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+    else res.status(200).send({"result": {"stats": ttscache.stats(), "entries": ttscache.list()}});
+  });
+
+  router.post(`${adminRoute}/ttsCache/purge`, (req, res) => {
+    if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+    else if (!(Array.isArray(req.body.filenames) || req.body.all === true)) res.status(400).send({"result":"Malformed request"});
+    else res.status(200).send({"result": ttscache.purge(req.body.all === true ? null : req.body.filenames)});
+  });
+
+  router.post(`${adminRoute}/ttsCache/prerender`, (req, res) => {
+    if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+    else if (!Array.isArray(req.body.items)) res.status(400).send({"result":"Malformed request"});
+    else prerender(req.body.items, results => res.status(200).send({"result": results}));
+  });
+}
+
+// The route for checking broadcastAudio sounds, or null if the relay is off
+function validateRoute() {
+  return relayRoutes["broadcastAudio"] != null ? `${relayRoutes["broadcastAudio"]}/validate` : null;
+}
+
+// Config administration. Secrets are never shown
+logger.debug(`Binding config routes on ${adminRoute}/config`);
+router.post(`${adminRoute}/config`, (req, res) => {
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else res.status(200).send({"result": settings.redact(config)});
+});
+
+router.post(`${adminRoute}/config/validate`, (req, res) => {
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else if (req.body.config == null || typeof req.body.config !== 'object') res.status(400).send({"result":"Malformed request"});
+  else {
+    let checked = settings.validate(req.body.config);
+    res.status(200).send({"result": {"valid": checked.errors.length === 0, "errors": checked.errors, "warnings": checked.warnings}});
+  }
+});
+
+router.post(`${adminRoute}/config/reload`, (req, res) => {
+  if (!authenticateAdmin(req)) {
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  reloadConfig(`request by user ${req.auth.user}`, (errs, outcome) => {
+    if (errs) res.status(422).send({"result": `Invalid config; keeping the running config.`, "errors": errs});
+    else res.status(200).send({"result": outcome});
+  });
+});
+
+// Onboarding: each user's assistant and tokens, and authorizing users through the browser
+logger.debug(`Binding user routes on ${adminRoute}/users`);
+router.get(`${adminRoute}/onboarding`, (req, res) => res.sendFile(path.join(__dirname, 'onboarding.html')));
+
+router.post(`${adminRoute}/users`, (req, res) => {
+  if (!authenticateAdmin(req)) {
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  let result = {};
+  Object.keys(config.users).forEach(user => {
+    result[user] = {"assistant": assistantState(user),
+                    "tokens": oauth.tokens(config.users[user].savedTokensPath),
+                    "authorization": oauth.status(user)};
+  });
+  res.status(200).send({"result": result});
+});
+
+// Checks common to the routes for one user. Returns false if the request has been answered
+function userRequest(req, res) {
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else if (!config.users.hasOwnProperty(req.params.user)) res.status(404).send({"result": `User not found.`});
+  else return true;
+  return false;
+}
+
+router.post(`${adminRoute}/users/:user/authorize`, (req, res) => {
+  if (!userRequest(req, res)) return;
+  oauth.begin(req.params.user, config.users[req.params.user].savedTokensPath, (err, status) => {
+    if (err) res.status(500).send({"result": `Unable to start authorization.`, "error": errors.describe(err)});
+    else res.status(200).send({"result": status});
+  });
+});
+
+// For when the browser isn't on this machine, so can't reach the loopback address Google sends it to
+router.post(`${adminRoute}/users/:user/authorize/complete`, (req, res) => {
+  if (!userRequest(req, res)) return;
+  let redirected = req.body.url != null ? req.body.url : req.body.code;
+  if (typeof redirected !== 'string' || redirected === '') {
+    res.status(400).send({"result":"Malformed request"});
+    return;
+  }
+  oauth.complete(req.params.user, redirected, (err, status) => {
+    if (err) res.status(422).send({"result": `Authorization failed.`, "error": errors.describe(err), "authorization": status || null});
+    else res.status(200).send({"result": status});
+  });
+});
+
+// Sign a user in again, e.g. after their tokens file has been replaced by hand
+router.post(`${adminRoute}/users/:user/restart`, (req, res) => {
+  if (!userRequest(req, res)) return;
+  startAssistant(req.params.user);
+  // Whether requests are served meanwhile by the assistant being replaced, or by none until the new one is ready
+  res.status(200).send({"result": assistantState(req.params.user), "serving": assistants[req.params.user] ? "previous" : "none"});
+});
+
+// How deliveries to each webhook have gone
+logger.debug(`Binding webhook route on ${adminRoute}/webhooks`);
+router.post(`${adminRoute}/webhooks`, (req, res) => {
+  if (!authenticateAdmin(req)) res.status(403).send({"result": `Access denied.`});
+  else res.status(200).send({"result": webhooks.list()});
+});
+
+// Check that a sound can be converted and is short enough to broadcast, without broadcasting it
+logger.debug(`Binding sound validation route`);
+router.post('*', (req, res, next) => {
+  if (req.path !== validateRoute()) {
+    next();
+    return;
+  }
+  let sound = soundFor("broadcastAudio", req.body.command);
+  if (!authenticate(req) || !permitted(req, "broadcastAudio")) res.status(403).send({"result": `Access denied.`});
+  else if (!sound) res.status(404).send({"result": `No sound ${req.body.command} configured.`});
+  else {
+    loadBroadcastAudio(sound.path, sound.format, (err, buf, source) => {
+      if (err) res.status(422).send({"result": `Unable to convert sound.`, "error": errors.describe(err)});
+      else res.status(200).send({"result": {"sound": req.body.command,
+                                            "source": source,
+                                            "bytes": buf.length,
+                                            "durationInSecs": audio.duration(buf.length),
+                                            "maxBytes": MAX_BUFFER_LENGTH,
+                                            "maxDurationInSecs": audio.duration(MAX_BUFFER_LENGTH),
+                                            "fits": buf.length <= MAX_BUFFER_LENGTH}});
+    });
+  }
+});
+
+// The state of each part of the server the relays that are on depend on, as {ok, ...}: the users'
+// assistants, finding Chromecasts, the static server they fetch media from and the TTS providers.
+// The server is ready when every one is ok
+function healthChecks() {
+  let checks = {};
+  let on = relay => relayRoutes[relay] != null;
+  let users = {};
+  Object.keys(config.users).forEach(user => users[user] = assistantState(user));
+  checks.assistants = {"ok": !["broadcast", "broadcastAudio", "custom"].some(on) ||
+                             Object.keys(users).every(user => users[user].state === READY),
+                       "users": users};
+  if (settings.RELAYS.some(relay => relay.startsWith("chromecast") && on(relay))) {
+    let found = cast.discovery();
+    checks.chromecasts = Object.assign({"ok": found.online > 0}, found);
+  }
+  if (on("chromecastAudio") || on("chromecastTTS")) {
+    checks.staticServer = {"ok": staticListening, "port": config.staticServer.port, "error": staticServerError};
   }
-  return buf;
+  if (on("chromecastTTS")) {
+    let providers = tts.status();
+    checks.tts = {"ok": providers.some(provider => provider.available), "providers": providers};
+  }
+  return checks;
+}
+
+function ready(checks) {
+  return Object.keys(checks).every(k => checks[k].ok);
+}
+
+// Only addresses in the monitoring whitelist, if there is one, may see the health and metrics routes
+const monitoringFilter = monitoringConfig.whitelist ? ipfilter(monitoringConfig.whitelist, {mode: 'allow', log: false}) : null;
+function monitoringAllowed(req, res, next) {
+  if (!monitoringFilter) {
+    next();
+    return;
+  }
+  monitoringFilter(req, res, err => {
+    if (err) res.status(403).send({"result": `Access denied.`});
+    else next();
+  });
+}
+
+// Clients that can't send a body, e.g. on GET, name the user in the query and present the key as a bearer token
+function identifyFromQuery(req, res, next) {
+  req.body = {"user": req.query.user};
+  auth.identify(req, principal => {
+    req.auth = principal;
+    next();
+  });
 }
 
-// Callback from conversations
-function startConversation(conversation, conversationCounter, user, buf, format, continued, broadcastAudioResponse) {
+// The checks as shown to the requester. Users' names and why their assistants failed are only shown to
+// admins, unless the monitoring config says to show them to everyone; others see whether each check is ok
+function checksFor(req, checks) {
+  if (monitoringConfig.details === true || authenticateAdmin(req)) return checks;
+  let summary = {};
+  Object.keys(checks).forEach(k => summary[k] = {"ok": checks[k].ok});
+  return summary;
+}
+
+metrics.define("assistant_helper_ready", metrics.GAUGE, "Whether the server is ready, as reported by the readiness route.");
+metrics.define("assistant_helper_assistant_ready", metrics.GAUGE, "Whether each user's assistant is ready.");
+metrics.define("assistant_helper_chromecasts", metrics.GAUGE, "Chromecasts known, by whether they are online.");
+metrics.define("assistant_helper_tts_cache_hits_total", metrics.COUNTER, "TTS requests answered from the cache.");
+metrics.define("assistant_helper_tts_cache_misses_total", metrics.COUNTER, "TTS requests that had to be synthesized.");
+metrics.define("assistant_helper_tts_cache_evictions_total", metrics.COUNTER, "TTS renditions evicted from the cache.");
+metrics.define("assistant_helper_tts_cache_entries", metrics.GAUGE, "TTS renditions in the cache.");
+metrics.define("assistant_helper_tts_cache_bytes", metrics.GAUGE, "Bytes used by the TTS cache.");
+metrics.collect(() => {
+  metrics.set("assistant_helper_ready", {}, ready(healthChecks()) ? 1 : 0);
+  metrics.clear("assistant_helper_assistant_ready");
+  Object.keys(config.users).forEach(user => {
+    metrics.set("assistant_helper_assistant_ready", {"user": user}, assistantState(user).state === READY ? 1 : 0);
+  });
+  let found = cast.discovery();
+  metrics.set("assistant_helper_chromecasts", {"state": "online"}, found.online);
+  metrics.set("assistant_helper_chromecasts", {"state": "offline"}, found.devices - found.online);
+  if (config.relays.chromecastTTS.on) {
+    let stats = ttscache.stats();
+    metrics.set("assistant_helper_tts_cache_hits_total", {}, stats.hits);
+    metrics.set("assistant_helper_tts_cache_misses_total", {}, stats.misses);
+    metrics.set("assistant_helper_tts_cache_evictions_total", {}, stats.evictions);
+    metrics.set("assistant_helper_tts_cache_entries", {}, stats.entries);
+    metrics.set("assistant_helper_tts_cache_bytes", {}, stats.bytes);
+  }
+});
+
+// Liveness: answers whenever the server does, with the same checks as readiness
+logger.debug(`Binding health routes on ${healthRoute}, ${readyRoute} and ${metricsRoute}`);
+router.get(healthRoute, monitoringAllowed, identifyFromQuery, (req, res) => {
+  let checks = healthChecks();
+  res.status(200).send({"result": "OK", "ready": ready(checks), "uptimeInSecs": Math.round((Date.now() - startedAt) / 1000),
+                        "checks": checksFor(req, checks)});
+});
+
+router.get(readyRoute, monitoringAllowed, identifyFromQuery, (req, res) => {
+  let checks = healthChecks();
+  if (ready(checks)) res.status(200).send({"result": "Ready.", "checks": checksFor(req, checks)});
+  else res.status(503).send({"result": "Not ready.", "checks": checksFor(req, checks)});
+});
+
+router.get(metricsRoute, monitoringAllowed, (req, res) => {
+  res.set('Content-Type', metrics.CONTENT_TYPE);
+  res.status(200).send(metrics.render());
+});
+
+router.all([healthRoute, readyRoute, metricsRoute], (req, res) => res.status(405).send({"result":`Method not allowed.`}));
+
+// Whether the requester may see event: admins see everything, other users events about themselves
+// and the devices their key may play on
+function visible(req, admin, event) {
+  if (admin) return true;
+  let data = event.data;
+  if (data.user != null && data.user !== req.auth.user) return false;
+  return data.device == null || permittedTargets(req, data.device);
+}
+
+// Server-sent events: every event from now on the requester may see, optionally only types of them,
+// after any missed since the ID in Last-Event-ID. Comments keep idle connections from timing out
+function streamEvents(req, res) {
+  if (!authenticate(req)) {
+    res.status(403).send({"result": `Access denied.`});
+    return;
+  }
+  let types = req.body.types != null ? req.body.types : req.query.types != null ? String(req.query.types).split(',') : null;
+  if (types != null && (!Array.isArray(types) || !types.every(type => typeof type === 'string'))) {
+    res.status(400).send({"result":"Malformed request"});
+    return;
+  }
+  let admin = authenticateAdmin(req);
+  let lastEventId = req.get('Last-Event-ID') || req.body.lastEventId || req.query.lastEventId;
+  let send = event => {
+    if (!bus.matches(event.type, types) || !visible(req, admin, event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  res.status(200).set({"Content-Type": "text/event-stream",
+                       "Cache-Control": "no-cache",
+                       "Connection": "keep-alive",
+                       "X-Accel-Buffering": "no"}); // Stop proxies such as nginx holding events back
+  res.flushHeaders();
+  res.write(`: Events for ${req.auth.user}\n\n`);
+  if (lastEventId != null) bus.since(lastEventId).forEach(send);
+  bus.subscribe(send);
+  let keepAlive = setInterval(() => res.write(`: keep-alive\n\n`),
+                              ((config.events && config.events.keepAliveInSecs) || 30) * 1000);
+  logger.info(`Streaming events to user ${req.auth.user}.`, {"types": types});
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    bus.unsubscribe(send);
+    logger.info(`Stopped streaming events to user ${req.auth.user}.`);
+  });
+}
+
+logger.debug(`Binding event stream route on ${eventsRoute}`);
+router.get(eventsRoute, identifyFromQuery, streamEvents);
+router.post(eventsRoute, streamEvents);
+router.all(eventsRoute, (req, res) => res.status(405).send({"result":`Method not allowed.`}));
+
+logger.debug(`Binding GET routes`);
+// Method not allowed for GET
+router.get([jobsRoute, `${jobsRoute}/*`, devicesRoute, `${devicesRoute}/*`, limitsRoute, dndRoute,
+            soundsRoute, `${soundsRoute}/*`, `${adminRoute}/*`],
+           (req, res) => res.status(405).send({"result":`Method not allowed.`}));
+router.get('*', (req, res, next) => {
+  if (relayFor(req.path) != null || req.path === validateRoute()) res.status(405).send({"result":`Method not allowed.`});
+  else next();
+});
+
+logger.debug(`Binding all route for *`);
+// 404s for everything else
+router.all('*', (req, res) => res.status(404).send({"result":`Page not found.`}));
+
+// express-winston logger first
+app.use(expressWinston.logger(winstonConfig));
+// Then counting what relay requests were answered with
+app.use(countRequests);
+// Then router
+app.use(router);
+// Then express-winston error logger
+app.use(expressWinston.errorLogger(winstonConfig));
+
+// Callback from conversations. opts may contain:
+//   buf, format - audio to send if the Assistant invites us to continue (i.e. audio broadcasts)
+//   continued - whether this is the continuation that should send buf
+//   broadcastAudioResponse - rebroadcast the Assistant's audio response instead of its text
+//   query, includeAudio - collect the response for the caller instead of broadcasting anything
+//   dialog - from sessions.start, tracking the conversation state
+//   started - when the exchange began, if this conversation continues an earlier one
+//   cb(err, result, conversationState) - called once the exchange is over, with the text the Assistant
+//                     returned (and in query mode its transcriptions, audio and whether it expects a
+//                     follow-up); a conversation continued to send audio hands cb on to the next one
+function startConversation(conversation, conversationCounter, user, opts) {
+  let buf = opts.buf,
+      format = opts.format,
+      continued = opts.continued,
+      broadcastAudioResponse = opts.broadcastAudioResponse,
+      cb = opts.cb;
+  let responseText = null;
+  let transcriptions = [];
+  let done = false;
+  let started = opts.started || Date.now();
+  let finish = (err, result) => {
+    if (done) return;
+    done = true;
+    conversationEnded(user, err, started);
+    if (cb) cb(err, result, opts.dialog.state);
+  };
   conversation
     // Response: 'response'
     .on('response', (text) => {
       if (text) {
+        responseText = text;
         logger.info(`Text response from Google Assistant.`,{"conversationCounter": conversationCounter,
                                                             "text": text});
-        // If we're not expecting audio to supercede text (e.g. jokes)
-        if (!broadcastAudioResponse) {
+        bus.publish("assistant.response", {"user": user, "text": text, "conversation": conversationCounter});
+        // If we're not expecting audio to supercede text (e.g. jokes) and not just answering a query
+        if (!broadcastAudioResponse && !opts.query) {
           logger.info(`Broadcasting content of text response`);
           sendTextInput(`broadcast ${text}`, user);
         }
@@ -369,9 +1560,10 @@ function startConversation(conversation, conversationCounter, user, buf, format,
     })
     // Response: 'end-of-utterance'
     .on('end-of-utterance', () => {logger.debug(`Received end-of-utterance.`,{"conversationCounter": conversationCounter});})
-    // Response: 'transcription' for speech to text - Unhandled as we're not issuing voice commands
+    // Response: 'transcription' for speech to text - Only returned to queries as we're not issuing voice commands
     .on('transcription', (transcriptionResult) => {
       if (transcriptionResult.done) {
+        transcriptions.push(transcriptionResult.transcription);
         logger.debug(`Received completed transcription.`,{"conversationCounter": conversationCounter,
                                                           "transcriptionResult" : transcriptionResult});
       }
@@ -406,8 +1598,16 @@ function startConversation(conversation, conversationCounter, user, buf, format,
                                                                                     "data": data});})
     // Response: 'ended'
     .on('ended', (error, continueConversation) => {
-      if (error) logger.error(`Error while conducting conversation; conversation ended.`,{"conversationCounter": conversationCounter,
-                                                                                          "error": error});
+      let result = {"text": responseText};
+      if (opts.query) {
+        result.transcriptions = transcriptions;
+        result.followUp = !!continueConversation;
+      }
+      if (error) {
+        logger.error(`Error while conducting conversation; conversation ended.`,{"conversationCounter": conversationCounter,
+                                                                                 "error": error});
+        finish(errors.relayError(errors.ASSISTANT_ERROR, `Conversation ended with an error.`, error));
+      }
       else {
         if (audioBuffers.hasOwnProperty(conversationCounter)) { // We are ending a conversation that included audio
           if (config.saveAudioFiles) {
@@ -421,12 +1621,22 @@ function startConversation(conversation, conversationCounter, user, buf, format,
                                                                             "error": err});
             }
           }
-          if (broadcastAudioResponse) {
+          if (opts.query && opts.includeAudio) {
+            result.audio = {"contentType": "audio/wav",
+                            "encoding": "base64",
+                            "data": audio.toWav(audioBuffers[conversationCounter], 16000).toString('base64')};
+          }
+          else if (broadcastAudioResponse) {
             logger.info(`Conversation ended with audio content; broadcasting.`,{"conversationCounter":conversationCounter});
-            // TODO let bufs = chunkBuffer(audioBuffers[conversationCounter],16000,100000,10);
-            let audioBuffer = truncateSilences(audioBuffers[conversationCounter],MAX_SILENCE_LENGTH,SILENCE_THRESHOLD);
+            let audioBuffer = audio.truncateSilences(audioBuffers[conversationCounter],MAX_SILENCE_LENGTH,SILENCE_THRESHOLD);
+            let bufs = audio.chunkBuffer(audioBuffer,CHUNK_SILENCE_LENGTH,MAX_BUFFER_LENGTH,SILENCE_THRESHOLD);
 
-            sendBroadcastAudioBuffer(audioBuffer,user,AUDIO_OUT_LINEAR16);
+            // Report the outcome once every part has been broadcast
+            let reply = finish;
+            finish = (err, result) => {
+              if (err) reply(err);
+              else sendBroadcastAudioBuffers(bufs,user,AUDIO_OUT_LINEAR16,err => reply(err, result));
+            };
           }
           delete audioBuffers[conversationCounter];
         }
@@ -434,15 +1644,23 @@ function startConversation(conversation, conversationCounter, user, buf, format,
           logger.debug(`Conversation ended with invitation to continue.`,{"conversationCounter": conversationCounter});
           if (buf) {
             logger.debug(`Have audio buffer to continue conversation; sending.`,{"conversationCounter": conversationCounter});
-            assistants[user].start({"audio":{"encodingOut": AUDIO_OUT_LINEAR16,
-                                             "sampleRateOut": 16000,
-                                             "encodingIn": format}},
-                          (conversation) => startConversation(conversation,conversationCounter,user,buf,format,true));
+            sessions.start(assistants[user], {"audio":{"encodingOut": AUDIO_OUT_LINEAR16,
+                                                       "sampleRateOut": 16000,
+                                                       "encodingIn": format}},
+                           opts.dialog.state,
+                           (conversation, dialog) => startConversation(conversation,conversationCounter,user,
+                                                                       {"buf": buf, "format": format, "continued": true,
+                                                                        "dialog": dialog, "started": started, "cb": cb}));
+            done = true; // The continued conversation reports the outcome
           }
+          else finish(null, result);
         }
         else {
           logger.debug(`Conversation ended.`,{"conversationCounter":conversationCounter});
           conversation.end();
+          if (buf && !continued) finish(errors.relayError(errors.BROADCAST_NOT_PROMPTED,
+                                                          `Assistant did not prompt for broadcast audio.`));
+          else finish(null, result);
         }
       }
     })
@@ -451,6 +1669,7 @@ function startConversation(conversation, conversationCounter, user, buf, format,
       logger.error(`Google Assistant returned error.`,{"conversationCounter": conversationCounter,
                                                        "error": error});
       conversation.end();
+      finish(errors.relayError(errors.ASSISTANT_ERROR, `Google Assistant returned error.`, error));
     });
 
     // If we are responding to a continued conversation with audio we're sending (e.g. broadcast audio)
@@ -470,51 +1689,118 @@ function startConversation(conversation, conversationCounter, user, buf, format,
   }
 }
 
-// Our primary method of interacting with Google Assistant
-function sendTextInput(text, user, broadcastAudioResponse) {
+// Time each exchange with the Assistant, and notice when a user's tokens stop being accepted, e.g.
+// once they have expired or been revoked, or start being accepted again
+metrics.define("assistant_helper_conversation_duration_seconds", metrics.HISTOGRAM,
+               "Time taken by exchanges with the Assistant, by user and result.");
+function conversationEnded(user, err, started) {
+  metrics.observe("assistant_helper_conversation_duration_seconds", {"user": user, "result": err ? "failed" : "ok"},
+                  (Date.now() - started) / 1000);
+  if (err) bus.publish("assistant.error", {"user": user, "error": errors.describe(err)});
+  let state = assistantState(user).state;
+  if (err && err.code === errors.ASSISTANT_ERROR && /UNAUTHENTICATED|invalid_grant|invalid authentication/i.test(err.cause)) {
+    if (state !== UNAUTHENTICATED) setAssistantState(user, UNAUTHENTICATED, err.cause);
+  }
+  else if (!err && state === UNAUTHENTICATED) setAssistantState(user, READY);
+}
+
+// Our primary method of interacting with Google Assistant. opts are passed on to startConversation, and
+// may carry the conversationState of a session to continue
+function sendTextInput(text, user, opts, cb) {
+  opts = opts || {};
+  cb = cb || (() => {});
   if (!config.users.hasOwnProperty(user)) {
     logger.error(`User ${user} not found, aborting request ${text}.`);
+    cb(errors.relayError(errors.USER_NOT_FOUND, `User ${user} not found.`));
   } 
+  else if (!assistants[user]) {
+    logger.error(`Assistant for user ${user} not ready, aborting request ${text}.`);
+    cb(errors.relayError(errors.ASSISTANT_NOT_READY, `Assistant for user ${user} not ready.`));
+  }
   else {
     logger.info(`Received request "${text}"" for user ${user}.`);
     let assistant = assistants[user];
-    assistant.start({"textQuery":text,"language":config.language,
-                    "audio": {"encodingOut": AUDIO_OUT_LINEAR16,
-                              "sampleRateOut": 16000}},
-                    (conversation) => startConversation(conversation,conversationCounter++,user,null,null,false,broadcastAudioResponse));
+    sessions.start(assistant, {"textQuery":text,"language":config.language,
+                               "audio": {"encodingOut": AUDIO_OUT_LINEAR16,
+                                         "sampleRateOut": 16000}},
+                   opts.conversationState,
+                   (conversation, dialog) => startConversation(conversation,conversationCounter++,user,
+                                                               {"broadcastAudioResponse": opts.broadcastAudioResponse,
+                                                                "query": opts.query,
+                                                                "includeAudio": opts.includeAudio,
+                                                                "dialog": dialog,
+                                                                "cb": cb}));
   }
 }
 
-function sendBroadcastAudio(path,user,format) {
-  let buf;
-  logger.info(`Received request to broadcast ${path} in format ${format} for user ${user}.`);
+// Load a sound file as 16 kHz mono LINEAR16 with long silences shortened, ready to broadcast.
+// cb(err, buf, source) where source describes the file before conversion
+function loadBroadcastAudio(path, format, cb) {
   logger.debug(`Opening audio file ${path}`)
-  try {
-    buf = new fs.readFileSync(path);
-  }
-  catch (err) {logger.error(`Unable to load file ${path}`, err);};    
-  sendBroadcastAudioBuffer(buf,user,format);
+  audio.decode(path, format, {"ffmpegPath": config.ffmpegPath}, (err, buf, source) => {
+    if (err) {
+      logger.error(`Unable to load file ${path}`, err);
+      cb(err);
+    }
+    else cb(null, audio.truncateSilences(buf, MAX_SILENCE_LENGTH, SILENCE_THRESHOLD), source);
+  });
+}
+
+function sendBroadcastAudio(path,user,format,cb) {
+  logger.info(`Received request to broadcast ${path} in format ${format} for user ${user}.`);
+  loadBroadcastAudio(path, format, (err, buf) => {
+    if (err) {
+      if (cb) cb(err);
+    }
+    else sendBroadcastAudioBuffer(buf,user,AUDIO_IN_LINEAR16,cb);
+  });
 }
 
 // For broadcasting audio files
-function sendBroadcastAudioBuffer(buf,user,format) {
+function sendBroadcastAudioBuffer(buf,user,format,cb) {
+  cb = cb || (() => {});
   if (!config.users.hasOwnProperty(user)) {
-    logger.error(`User ${user} not found, aborting request ${text}.`);
+    logger.error(`User ${user} not found, aborting audio broadcast.`);
+    cb(errors.relayError(errors.USER_NOT_FOUND, `User ${user} not found.`));
+  }
+  else if (!assistants[user]) {
+    logger.error(`Assistant for user ${user} not ready, aborting audio broadcast.`);
+    cb(errors.relayError(errors.ASSISTANT_NOT_READY, `Assistant for user ${user} not ready.`));
   }
   else if (buf.length > MAX_BUFFER_LENGTH) {
     logger.warn(`Audio buffer has length ${buf.length}, which is too long. Aborting.`);
+    cb(errors.relayError(errors.AUDIO_TOO_LONG, `Audio buffer has length ${buf.length}, longer than the maximum ${MAX_BUFFER_LENGTH}.`));
   }
   else {
     let assistant = assistants[user];
 
     logger.debug(`Sending initial "broadcast" message to preface audio`);
-    assistant.start({"textQuery": "broadcast","language":config.language,
-                     "audio":{"encodingOut": AUDIO_OUT_LINEAR16},
-                              "sampleRateIn": 16000},
-                    (conversation) => startConversation(conversation,conversationCounter++,user,buf,format));
+    sessions.start(assistant, {"textQuery": "broadcast","language":config.language,
+                               "audio":{"encodingOut": AUDIO_OUT_LINEAR16},
+                                        "sampleRateIn": 16000},
+                   null,
+                   (conversation, dialog) => startConversation(conversation,conversationCounter++,user,
+                                                               {"buf": buf, "format": format, "dialog": dialog, "cb": cb}));
   }
 }
 
+// Broadcast audio too long for one broadcast as consecutive broadcasts, each starting once the
+// last has been accepted. Stops at the first failure
+function sendBroadcastAudioBuffers(bufs,user,format,cb) {
+  let send = (i) => {
+    if (i >= bufs.length) {
+      cb(null);
+      return;
+    }
+    logger.debug(`Broadcasting part ${i+1} of ${bufs.length}.`, {"length": bufs[i].length});
+    sendBroadcastAudioBuffer(bufs[i],user,format,err => {
+      if (err) cb(errors.relayError(err.code, `Broadcast of part ${i+1} of ${bufs.length} failed: ${err.message}`, err.cause));
+      else send(i+1);
+    });
+  };
+  send(0);
+}
+
 logger.info(`Starting external relay server.`);
 // If settings are present for TLS creds
 if (config.certPrivKeyPath && config.certPath) {
@@ -529,7 +1815,9 @@ else {
   app.listen(config.port, () => logger.info(`HTTP Server created on port ${config.port}.`));
 }
 logger.info(`Relay online.`);
-if (config.relays.chromecastAudio.on || config.relays.chromecastTTS.on) {
+// Serve our own media to Chromecasts, once a relay that casts it is on
+function startStaticServer() {
+  if (staticApp || !(config.relays.chromecastAudio.on || config.relays.chromecastTTS.on)) return;
   staticApp = express();
   staticApp.set('case sensitive routing', true);
   logger.info(`Starting internal media server endpoint.`);
@@ -539,38 +1827,149 @@ if (config.relays.chromecastAudio.on || config.relays.chromecastTTS.on) {
     staticApp.use(ipfilter(config.staticServer.whitelist, {mode: 'allow'}));
   }
   staticApp.use(expressWinston.logger(winstonConfig));
+  // Configured chromecastAudio sounds are served by name, wherever their files are
+  staticApp.get(`${config.staticServer.route}/sounds/:name`, (req, res, next) => {
+    let sounds = (config.relays.chromecastAudio || {}).sounds || {};
+    if (sounds.hasOwnProperty(req.params.name)) res.sendFile(path.resolve(sounds[req.params.name].path));
+    else next();
+  });
   // serve-static for serving media files for Chromecast
   staticApp.use(config.staticServer.route,serveStatic(config.staticServer.path));
+  staticApp.use(config.staticServer.route,serveStatic(soundsConfig.path || "sounds"));
   // If TTS enabled, add fallback directory for static service iff the two paths are different
   if (config.relays.chromecastTTS.on && config.staticServer.path !== config.relays.chromecastTTS.cachePath) 
     staticApp.use(config.staticServer.route,serveStatic(config.relays.chromecastTTS.cachePath));
   staticApp.use(expressWinston.errorLogger(winstonConfig));
-  staticApp.listen(config.staticServer.port, () => logger.info(`Static server started on port ${config.staticServer.port}.`));
+  staticApp.listen(config.staticServer.port, () => {
+    staticListening = true;
+    logger.info(`Static server started on port ${config.staticServer.port}.`);
+  }).on('error', err => {
+    staticServerError = err.message;
+    logger.error(`Static server unable to listen on port ${config.staticServer.port}.`, err);
+  });
   logger.info(`Media server online.`);
-};
+}
+startStaticServer();
 
-// Quick-and-dirty forcing of sequential callbacks to wait on stdin.
-// Kludge, but the number of users should be small enough for a shallow call stack.
-function configureNextUser(userKeys) {
-  let user = userKeys.shift();
+function assistantState(user) {
+  return assistantStates[user] || {"state": STARTING, "since": new Date(startedAt), "error": null};
+}
+
+function setAssistantState(user, state, error) {
+  assistantStates[user] = {"state": state, "since": new Date(), "error": error || null};
+  bus.publish("assistant.state", {"user": user, "state": state, "error": error || null});
+}
+
+// Record how replacing the assistant serving user is going, as the restart of its state. The state
+// itself stays that of the assistant still serving them until its replacement is ready
+function setRestartState(user, state, error) {
+  let current = assistantState(user);
+  let restart = {"state": state, "since": new Date(), "error": error || null};
+  assistantStates[user] = Object.assign({}, current, {"restart": restart});
+  bus.publish("assistant.state", {"user": user, "state": current.state, "error": current.error, "restart": restart});
+}
+
+// Bring user's assistant online from their saved tokens, whatever becomes of any other user's. Users
+// without tokens wait to be authorized through the onboarding endpoints rather than on the console.
+// Starting it again, e.g. once new tokens are saved, replaces the running assistant once it is ready;
+// until then, or if the new one fails, the running one goes on serving the user
+function startAssistant(user) {
+  let report = (state, error) => assistants[user] ? setRestartState(user, state, error) : setAssistantState(user, state, error);
+  let tokensPath = config.users[user].savedTokensPath;
+  let saved = oauth.tokens(tokensPath);
+  if (!saved.saved) {
+    logger.warn(`No saved tokens for user ${user}; authorize them at ${adminRoute}/onboarding.`);
+    report(UNAUTHORIZED, saved.error);
+    return;
+  }
   logger.debug(`Creating assistant for user ${user}.`);
-  let assistant = new GoogleAssistant({"savedTokensPath":config.users[user].savedTokensPath,"keyFilePath":config.keyFilePath});
+  report(STARTING);
+  let assistant = startingAssistants[user] = new GoogleAssistant({
+    "savedTokensPath": tokensPath,
+    "keyFilePath": config.keyFilePath,
+    // Never wait for a code on the console if the tokens turn out to be unreadable after all
+    "tokenInput": () => report(UNAUTHORIZED, `Unable to read ${tokensPath}.`)});
   assistant
-    .on('ready', function() {
+    .on('ready', function(client) {
+      if (startingAssistants[user] !== this) return; // Replaced while it was starting
+      delete startingAssistants[user];
       logger.info(`Assistant for ${user} ready.`);
+      sessions.attach(client);
       assistants[user] = this;
-      if (userKeys.length > 0) configureNextUser(userKeys);
+      setAssistantState(user, READY);
     })
-    .on('error', (e) => {
-      logger.error(`Assistant Error when activating user ${k}.`,e); 
+    .on('error', function(e) {
+      if (startingAssistants[user] !== this) return; // Replaced while it was starting; its successor reports for user
+      delete startingAssistants[user];
+      logger.error(`Assistant Error when activating user ${user}.`,e);
+      if (assistants[user]) logger.warn(`Keeping the assistant already running for user ${user}.`);
+      report(FAILED, e && e.message ? e.message : String(e));
+      if (Object.keys(assistants).length === 0) {
+        logger.error(`No assistants ready; Assistant relays will fail until one is. See ${readyRoute}.`);
+      }
    })
 }
 
-// Set up assistants. We do this sequentially in case of re-auth. Delay to clean up log
-setTimeout(() => configureNextUser(Object.keys(config.users)),500);
+// Reload the config file, keeping the running config if the new one is invalid. Settings only read
+// at startup keep their running values until a restart. cb(errors, {restartNeeded, warnings})
+function reloadConfig(reason, cb) {
+  cb = cb || (() => {});
+  let reloaded = settings.load(configPath, process.env);
+  let restartNeeded = [];
+  if (reloaded.errors.length === 0) {
+    // What runs is the new config with the restart-only settings kept as they are, which has to hang
+    // together too, e.g. announcements can't be turned on while TTS stays off
+    restartNeeded = settings.keepRestartOnly(config, reloaded.config);
+    let combined = [];
+    settings.crossCheck(reloaded.config, combined);
+    combined.forEach(problem => reloaded.errors.push(`${problem}, as changes to ${restartNeeded.join(', ')} take effect only on restart`));
+  }
+  if (reloaded.errors.length === 0 && !settings.RELAYS.some(k => reloaded.config.relays[k] && reloaded.config.relays[k].on)) {
+    reloaded.errors.push(`relays: no relay is on`);
+  }
+  if (reloaded.errors.length > 0) {
+    logger.error(`Not reloading config after ${reason}; keeping the running config.`, {"errors": reloaded.errors});
+    cb(reloaded.errors);
+    return;
+  }
+  reloaded.warnings.forEach(w => logger.warn(`Config: ${w}`));
+  if (restartNeeded.length > 0) logger.warn(`Config changes to ${restartNeeded.join(', ')} take effect on restart.`);
+  // Users added, or whose tokens have moved, are signed in
+  let added = Object.keys(reloaded.config.users).filter(user => !config.users.hasOwnProperty(user) ||
+                                                                config.users[user].savedTokensPath !== reloaded.config.users[user].savedTokensPath);
+  // Requests already being handled carry on with what they have read; new ones see the new config
+  Object.keys(config).forEach(k => delete config[k]);
+  Object.assign(config, reloaded.config);
+  applyConfig();
+  startStaticServer();
+  added.forEach(startAssistant);
+  logger.info(`Reloaded config after ${reason}.`, {"relays": relayRoutes});
+  cb(null, {"restartNeeded": restartNeeded, "warnings": reloaded.warnings});
+}
+
+process.on('SIGHUP', () => reloadConfig(`SIGHUP`));
+if (config.watchConfig) {
+  fs.watchFile(configPath, {"interval": 2000}, (curr, prev) => {
+    if (curr.mtimeMs !== prev.mtimeMs) reloadConfig(`change to ${configPath}`);
+  });
+}
+
+// Set up assistants, each on its own so that one which can't start doesn't hold up the rest, and
+// start those authorized later as soon as their tokens are saved. Delay to clean up log
+oauth.configure(config.keyFilePath, user => {
+  if (config.users.hasOwnProperty(user)) startAssistant(user);
+});
+setTimeout(() => Object.keys(config.users).forEach(startAssistant),500);
+
+// Render the configured common phrases ahead of time
+if (config.relays.chromecastTTS.on && config.relays.chromecastTTS.cache && config.relays.chromecastTTS.cache.prewarm) {
+  prerender(config.relays.chromecastTTS.cache.prewarm, results => {
+    logger.info(`Pre-warmed TTS cache with ${results.filter(r => !r.error).length} of ${results.length} phrases.`, results);
+  });
+}
 
-// Check whether any users were successfully configured
-if (assistants.length === 0) {
-  logger.error(`No assistants configured. Exiting.`);
-  process.exit(1);
-}
\ No newline at end of file
+// Pick up do-not-disturb where it was, then resume any jobs that were pending when we last stopped
+quiet.init((config.dnd && config.dnd.path) || "dnd.json");
+jobs.init({"path": jobsConfig.path || "jobs.json",
+           "retentionInSecs": jobsConfig.retentionInSecs,
+           "resumeDelayInSecs": jobsConfig.resumeDelayInSecs}, executeJob);
\ No newline at end of file
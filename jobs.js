@@ -0,0 +1,208 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const PENDING = "PENDING",
+      RUNNING = "RUNNING",
+      SUCCEEDED = "SUCCEEDED",
+      FAILED = "FAILED",
+      CANCELLED = "CANCELLED";
+
+const fs = require('fs'),
+      crypto = require('crypto'),
+      logger = require('winston'),
+      errors = require('./errors'),
+      metrics = require('./metrics'),
+      bus = require('./bus');
+
+// setTimeout overflows past this many milliseconds (~24.8 days); longer delays are scheduled in hops
+const MAX_TIMEOUT = 2147483647;
+
+metrics.define("assistant_helper_jobs_total", metrics.COUNTER, "Relay executions run, by relay and outcome.");
+
+const jobs = {}, // Map from job ID to job
+      timers = {}, // Map from job ID to pending timeout
+      waiters = {}; // Map from job ID to callbacks waiting on the outcome
+
+var storePath = null, // Path of the JSON file jobs are persisted to
+    retentionMs = 0, // How long finished jobs are kept around for inspection
+    executor = null; // function(job, cb) that actually performs the relay
+
+// Load persisted jobs and resume anything still pending.
+// options: {path, retentionInSecs, resumeDelayInSecs}
+function init(options, exec) {
+  storePath = options.path;
+  retentionMs = (options.retentionInSecs == null ? 86400 : options.retentionInSecs) * 1000;
+  executor = exec;
+
+  let stored = [];
+  if (fs.existsSync(storePath)) {
+    try {
+      stored = JSON.parse(fs.readFileSync(storePath));
+    }
+    catch (err) {
+      logger.error(`Unable to load job store ${storePath}; starting with an empty queue.`, err);
+    }
+  }
+
+  // Give the assistants and mDNS discovery a chance to come up before running overdue jobs
+  let resumeAt = Date.now() + (options.resumeDelayInSecs == null ? 15 : options.resumeDelayInSecs) * 1000;
+  stored.forEach(job => {
+    jobs[job.id] = job;
+    if (job.status === RUNNING) {
+      // We went down mid-execution, so we can't know whether it went through
+      logger.warn(`Job ${job.id} was running when the server stopped; marking failed.`);
+      finish(job, FAILED, null, errors.relayError(errors.INTERRUPTED, `Interrupted by server restart.`));
+    }
+    else if (job.status === PENDING) {
+      logger.info(`Resuming pending job ${job.id} for user ${job.user}.`, {"relay": job.relay, "runAt": new Date(job.runAt)});
+      schedule(job, Math.max(job.runAt, resumeAt));
+    }
+  });
+  prune();
+  persist();
+}
+
+// Write the queue to disk. Write to a temp file first so a crash can't leave a truncated store
+function persist() {
+  try {
+    fs.writeFileSync(`${storePath}.tmp`, JSON.stringify(Object.keys(jobs).map(id => jobs[id])));
+    fs.renameSync(`${storePath}.tmp`, storePath);
+  }
+  catch (err) {
+    logger.error(`Unable to persist job store ${storePath}.`, err);
+  }
+}
+
+// Drop finished jobs older than the retention period
+function prune() {
+  let cutoff = Date.now() - retentionMs;
+  Object.keys(jobs).forEach(id => {
+    if (jobs[id].finished && jobs[id].finished < cutoff) delete jobs[id];
+  });
+}
+
+function schedule(job, runAt) {
+  clearTimeout(timers[job.id]);
+  job.runAt = runAt;
+  let remaining = Math.max(0, runAt - Date.now());
+  timers[job.id] = setTimeout(() => {
+    if (remaining > MAX_TIMEOUT) schedule(job, runAt);
+    else run(job);
+  }, Math.min(remaining, MAX_TIMEOUT));
+}
+
+function run(job) {
+  delete timers[job.id];
+  job.status = RUNNING;
+  job.started = Date.now();
+  persist();
+  logger.debug(`Running job ${job.id}.`, {"relay": job.relay, "user": job.user});
+  try {
+    executor(job, (err, result) => finish(job, err ? FAILED : SUCCEEDED, result, err));
+  }
+  catch (err) {
+    finish(job, FAILED, null, errors.relayError(errors.INTERNAL_ERROR, `Unexpected error running job.`, err));
+  }
+}
+
+function finish(job, status, result, err) {
+  // Executors may call back more than once on error paths; first outcome wins
+  if (job.status !== RUNNING) return;
+  job.status = status;
+  job.finished = Date.now();
+  if (result != null) job.result = result;
+  if (err) job.error = errors.describe(err);
+  metrics.inc("assistant_helper_jobs_total", {"relay": job.relay, "status": status});
+  if (status === SUCCEEDED) logger.info(`Job ${job.id} succeeded.`, {"relay": job.relay, "user": job.user});
+  else logger.error(`Job ${job.id} failed.`, {"relay": job.relay, "user": job.user, "error": job.error});
+  prune();
+  persist();
+  bus.publish("job.finished", {"id": job.id, "relay": job.relay, "user": job.user, "status": status, "error": job.error || null});
+  notify(job);
+}
+
+// Hand a finished job to anyone waiting on it
+function notify(job) {
+  let callbacks = waiters[job.id] || [];
+  delete waiters[job.id];
+  callbacks.forEach(cb => cb(job));
+}
+
+// Call cb(job) once the job has finished, failed or been cancelled
+function wait(id, cb) {
+  let job = get(id);
+  if (!job) return;
+  if (job.status !== PENDING && job.status !== RUNNING) cb(job);
+  else (waiters[id] = waiters[id] || []).push(cb);
+}
+
+// Queue a relay execution. spec is {user, relay, params, delayInSecs}; params must be serializable
+function submit(spec) {
+  let now = Date.now();
+  let job = {
+    id: crypto.randomBytes(8).toString('hex'),
+    user: spec.user,
+    relay: spec.relay,
+    params: spec.params,
+    status: PENDING,
+    created: now,
+    runAt: now + (spec.delayInSecs == null ? 0 : spec.delayInSecs * 1000)
+  };
+  jobs[job.id] = job;
+  logger.debug(`Queued job ${job.id}.`, {"relay": job.relay, "user": job.user, "runAt": new Date(job.runAt)});
+  schedule(job, job.runAt);
+  persist();
+  return job;
+}
+
+function get(id) {
+  return jobs.hasOwnProperty(id) ? jobs[id] : null;
+}
+
+// All known jobs for a user, oldest first
+function list(user) {
+  return Object.keys(jobs).map(id => jobs[id])
+                          .filter(job => job.user === user)
+                          .sort((a, b) => a.created - b.created);
+}
+
+// Returns the cancelled job, or null if it isn't pending
+function cancel(id) {
+  let job = get(id);
+  if (!job || job.status !== PENDING) return null;
+  clearTimeout(timers[id]);
+  delete timers[id];
+  job.status = CANCELLED;
+  job.finished = Date.now();
+  logger.info(`Cancelled job ${id}.`, {"relay": job.relay, "user": job.user});
+  persist();
+  bus.publish("job.finished", {"id": job.id, "relay": job.relay, "user": job.user, "status": CANCELLED, "error": null});
+  notify(job);
+  return job;
+}
+
+// Returns the rescheduled job, or null if it isn't pending
+function reschedule(id, delayInSecs) {
+  let job = get(id);
+  if (!job || job.status !== PENDING) return null;
+  schedule(job, Date.now() + delayInSecs * 1000);
+  logger.info(`Rescheduled job ${id}.`, {"relay": job.relay, "user": job.user, "runAt": new Date(job.runAt)});
+  persist();
+  return job;
+}
+
+module.exports = {init: init, submit: submit, wait: wait, get: get, list: list, cancel: cancel, reschedule: reschedule,
+                  PENDING: PENDING, RUNNING: RUNNING, SUCCEEDED: SUCCEEDED, FAILED: FAILED, CANCELLED: CANCELLED};
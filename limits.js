@@ -0,0 +1,194 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const MINUTE = 60 * 1000,
+      HOUR = 60 * MINUTE;
+
+const fs = require('fs'),
+      crypto = require('crypto'),
+      logger = require('winston');
+
+const requests = {}, // Map from user to map from relay to times of recent requests, oldest first
+      recent = {}, // Map from a digest of user, relay and request to {jobId, expires} for deduplication
+      tallies = {}; // Map from user to {rate, quota, duplicates}: requests refused for each reason, and collapsed
+
+var options = {}, // The "limits" config: {path, perMinute, perHour, relays, ttsCharactersPerDay, dedupWindowInSecs}
+    users = {}, // The "users" config, for each user's own "limits"
+    usage = {}, // Map from user to {day, characters} of TTS synthesized today, persisted
+    storePath = null;
+
+// Load today's TTS usage. limits is the "limits" config and userConfig the "users" config
+function init(limits, userConfig) {
+  options = limits || {};
+  users = userConfig;
+  storePath = options.path || null;
+  if (storePath && fs.existsSync(storePath)) {
+    try {
+      usage = JSON.parse(fs.readFileSync(storePath));
+    }
+    catch (err) {
+      logger.error(`Unable to load TTS usage ${storePath}; starting from zero.`, err);
+    }
+  }
+}
+
+function persist() {
+  if (!storePath) return;
+  try {
+    fs.writeFileSync(`${storePath}.tmp`, JSON.stringify(usage));
+    fs.renameSync(`${storePath}.tmp`, storePath);
+  }
+  catch (err) {
+    logger.error(`Unable to persist TTS usage ${storePath}.`, err);
+  }
+}
+
+// The local date, so quotas reset at midnight where the server is
+function today() {
+  let now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+}
+
+function counts(user) {
+  return tallies[user] = tallies[user] || {"rate": 0, "quota": 0, "duplicates": 0};
+}
+
+// The limits applying to user's requests to relay: the defaults, then those for the relay, then
+// the user's own, then the user's for the relay, later ones taking precedence
+function limitsFor(user, relay) {
+  let own = (users[user] && users[user].limits) || {};
+  let pick = l => ({"perMinute": l.perMinute, "perHour": l.perHour});
+  let merged = {};
+  [options, (options.relays || {})[relay] || {}, own, (own.relays || {})[relay] || {}].forEach(l => {
+    let picked = pick(l);
+    Object.keys(picked).forEach(k => {
+      if (picked[k] != null) merged[k] = picked[k];
+    });
+  });
+  return merged;
+}
+
+// Times of user's requests to relay within the last hour
+function requestTimes(user, relay) {
+  let times = (requests[user] = requests[user] || {})[relay] = (requests[user][relay] || []);
+  let cutoff = Date.now() - HOUR;
+  while (times.length > 0 && times[0] <= cutoff) times.shift();
+  return times;
+}
+
+// Count a request by user to relay if it is within their limits. Returns null if it is, or the
+// number of seconds until it would be
+function take(user, relay) {
+  let limits = limitsFor(user, relay);
+  let times = requestTimes(user, relay);
+  let now = Date.now();
+  let lastMinute = times.filter(t => t > now - MINUTE);
+  // Until the request that used up the allowance drops out of the window; a limit of zero shuts the relay off
+  let until = (times, limit, period) => limit > 0 ? times[times.length - limit] + period - now : period;
+  let wait = 0;
+  if (limits.perMinute != null && lastMinute.length >= limits.perMinute) {
+    wait = Math.max(wait, until(lastMinute, limits.perMinute, MINUTE));
+  }
+  if (limits.perHour != null && times.length >= limits.perHour) {
+    wait = Math.max(wait, until(times, limits.perHour, HOUR));
+  }
+  if (wait > 0) {
+    counts(user).rate++;
+    logger.info(`User ${user} is over the rate limit for ${relay}.`, limits);
+    return Math.max(1, Math.ceil(wait / 1000));
+  }
+  times.push(now);
+  return null;
+}
+
+function quotaFor(user) {
+  let own = (users[user] && users[user].limits) || {};
+  return own.ttsCharactersPerDay != null ? own.ttsCharactersPerDay : options.ttsCharactersPerDay;
+}
+
+function usedToday(user) {
+  let used = usage[user];
+  return used && used.day === today() ? used.characters : 0;
+}
+
+// Whether user may have characters more of text synthesized today
+function allowCharacters(user, characters) {
+  let quota = quotaFor(user);
+  if (quota == null || characters === 0 || usedToday(user) + characters <= quota) return true;
+  counts(user).quota++;
+  logger.info(`User ${user} has used ${usedToday(user)} of ${quota} TTS characters today; refusing ${characters} more.`);
+  return false;
+}
+
+// Record characters of text synthesized for user
+function chargeCharacters(user, characters) {
+  usage[user] = {"day": today(), "characters": usedToday(user) + characters};
+  persist();
+}
+
+// JSON with the fields of objects in a fixed order, so the same request always looks the same
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+                                .map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+}
+
+// Requests are the same if everything in their bodies but the credentials is, e.g. the targets,
+// voice, volume level or queue items as well as the command
+function dedupKey(user, relay, body) {
+  let request = Object.assign({}, body);
+  delete request.relayKey;
+  return crypto.createHash('sha256').update(canonical([user, relay, request])).digest('hex');
+}
+
+// The job an identical request by user was queued as within the dedup window, or null
+function duplicateOf(user, relay, body) {
+  let now = Date.now();
+  Object.keys(recent).forEach(k => {
+    if (recent[k].expires <= now) delete recent[k];
+  });
+  let entry = recent[dedupKey(user, relay, body)];
+  if (!entry) return null;
+  counts(user).duplicates++;
+  return entry.jobId;
+}
+
+// Note the job a request was queued as, so identical requests within the window collapse into it
+function remember(user, relay, body, jobId) {
+  if (!options.dedupWindowInSecs) return;
+  recent[dedupKey(user, relay, body)] = {"jobId": jobId, "expires": Date.now() + options.dedupWindowInSecs * 1000};
+}
+
+// Where user stands against their limits: requests in the last minute and hour to each relay they
+// have used, with the limits that apply, TTS characters used today against their quota, and how
+// many requests were refused or collapsed
+function counters(user) {
+  let now = Date.now();
+  let relays = {};
+  Object.keys(requests[user] || {}).forEach(relay => {
+    let times = requestTimes(user, relay);
+    relays[relay] = Object.assign({"lastMinute": times.filter(t => t > now - MINUTE).length, "lastHour": times.length},
+                                  limitsFor(user, relay));
+  });
+  return {"relays": relays,
+          "tts": {"day": today(), "characters": usedToday(user), "quota": quotaFor(user) == null ? null : quotaFor(user)},
+          "refused": {"rate": counts(user).rate, "quota": counts(user).quota},
+          "duplicates": counts(user).duplicates};
+}
+
+module.exports = {init: init, take: take, allowCharacters: allowCharacters, chargeCharacters: chargeCharacters,
+                  duplicateOf: duplicateOf, remember: remember, counters: counters};
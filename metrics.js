@@ -0,0 +1,122 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Metric types, as named in the Prometheus text format
+const COUNTER = "counter",
+      GAUGE = "gauge",
+      HISTOGRAM = "histogram";
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Upper bounds in seconds of the buckets histograms count observations into
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const logger = require('winston');
+
+const metrics = {}, // Map from metric name to {name, type, help, buckets, series}, series mapping labels to samples
+      collectors = []; // Functions run before rendering, to set gauges from the state of the server
+
+// Declare a metric. Defining one again keeps what it has counted so far
+function define(name, type, help, buckets) {
+  if (metrics[name]) return;
+  metrics[name] = {"name": name, "type": type, "help": help, "buckets": buckets || DEFAULT_BUCKETS, "series": {}};
+}
+
+// The sample of name for labels, created empty if there isn't one yet
+function sample(name, labels) {
+  let metric = metrics[name];
+  if (!metric) throw new Error(`Unknown metric ${name}.`);
+  labels = labels || {};
+  let key = JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+  if (!metric.series[key]) {
+    metric.series[key] = {"labels": labels, "value": 0, "sum": 0, "count": 0,
+                          "buckets": metric.type === HISTOGRAM ? metric.buckets.map(() => 0) : null};
+  }
+  return metric.series[key];
+}
+
+// Add n, or 1, to a counter
+function inc(name, labels, n) {
+  sample(name, labels).value += n == null ? 1 : n;
+}
+
+function set(name, labels, value) {
+  sample(name, labels).value = value;
+}
+
+// Record a value, e.g. a duration in seconds, in a histogram
+function observe(name, labels, value) {
+  let s = sample(name, labels);
+  metrics[name].buckets.forEach((bound, i) => {
+    if (value <= bound) s.buckets[i]++;
+  });
+  s.sum += value;
+  s.count++;
+}
+
+// Forget every sample of a gauge, so that labels which no longer apply, e.g. users since removed
+// from the config, aren't reported
+function clear(name) {
+  metrics[name].series = {};
+}
+
+// Run fn() before each rendering
+function collect(fn) {
+  collectors.push(fn);
+}
+
+function escape(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelText(labels, extra) {
+  let pairs = Object.keys(labels).map(k => `${k}="${escape(labels[k])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Every metric in the Prometheus text exposition format
+function render() {
+  collectors.forEach(fn => {
+    try {
+      fn();
+    }
+    catch (err) {
+      logger.error(`Unable to collect metrics.`, err);
+    }
+  });
+  let lines = [];
+  Object.keys(metrics).sort().forEach(name => {
+    let metric = metrics[name];
+    lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    lines.push(`# TYPE ${name} ${metric.type}`);
+    Object.keys(metric.series).forEach(key => {
+      let s = metric.series[key];
+      if (metric.type !== HISTOGRAM) {
+        lines.push(`${name}${labelText(s.labels)} ${s.value}`);
+        return;
+      }
+      metric.buckets.forEach((bound, i) => lines.push(`${name}_bucket${labelText(s.labels, `le="${bound}"`)} ${s.buckets[i]}`));
+      lines.push(`${name}_bucket${labelText(s.labels, 'le="+Inf"')} ${s.count}`);
+      lines.push(`${name}_sum${labelText(s.labels)} ${s.sum}`);
+      lines.push(`${name}_count${labelText(s.labels)} ${s.count}`);
+    });
+  });
+  return lines.join('\n') + '\n';
+}
+
+module.exports = {define: define, inc: inc, set: set, observe: observe, clear: clear, collect: collect, render: render,
+                  COUNTER: COUNTER, GAUGE: GAUGE, HISTOGRAM: HISTOGRAM, CONTENT_TYPE: CONTENT_TYPE};
@@ -0,0 +1,258 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// The scope the google-assistant module asks for
+const SCOPE = "https://www.googleapis.com/auth/assistant-sdk-prototype";
+
+const DEFAULT_AUTH_URI = "https://accounts.google.com/o/oauth2/auth",
+      DEFAULT_TOKEN_URI = "https://oauth2.googleapis.com/token";
+
+// States of an authorization
+const PENDING = "pending",
+      AUTHORIZED = "authorized",
+      FAILED = "failed";
+
+const FLOW_TIMEOUT = 10 * 60 * 1000; // Stop waiting for the browser after this long
+
+const fs = require('fs'),
+      path = require('path'),
+      http = require('http'),
+      https = require('https'),
+      crypto = require('crypto'),
+      querystring = require('querystring'),
+      logger = require('winston');
+
+const flows = {}; // Map from user to {user, tokensPath, state, verifier, redirectUri, url, status, error, expires,
+                 // finished, exchanging, server, timer}
+
+var client = null, // The "installed" client from the OAuth client file: {client_id, client_secret, auth_uri, token_uri}
+    authorized = () => {}; // Called with each user whose tokens have been saved
+
+// Read the OAuth client the Assistant was set up with. onAuthorized(user) is called once a user's
+// tokens have been saved
+function configure(keyFilePath, onAuthorized) {
+  authorized = onAuthorized;
+  try {
+    let key = JSON.parse(fs.readFileSync(keyFilePath));
+    client = key.installed || null;
+    if (!client) logger.error(`OAuth client file ${keyFilePath} isn't for a desktop app; users can't be authorized through the server.`);
+  }
+  catch (err) {
+    client = null;
+    logger.error(`Unable to read OAuth client file ${keyFilePath}; users can't be authorized through the server.`, err);
+  }
+}
+
+// What is saved in tokensPath, as {saved, refreshToken, expiresAt, error}. Without a refresh token
+// the saved tokens stop working once they expire
+function tokens(tokensPath) {
+  let saved;
+  try {
+    saved = JSON.parse(fs.readFileSync(tokensPath));
+  }
+  catch (err) {
+    let missing = err.code === 'ENOENT';
+    return {"saved": false, "refreshToken": false, "expiresAt": null,
+            "error": missing ? null : `Unable to read ${tokensPath}: ${err.message}`};
+  }
+  let usable = saved != null && typeof saved === 'object' && (saved.refresh_token || saved.access_token);
+  return {"saved": !!usable,
+          "refreshToken": !!(usable && saved.refresh_token),
+          "expiresAt": usable && saved.expiry_date ? new Date(saved.expiry_date) : null,
+          "error": usable ? null : `${tokensPath} holds no tokens.`};
+}
+
+function base64url(buf) {
+  return buf.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Where user's authorization stands, or null if none has been started since the server started
+function status(user) {
+  let flow = flows[user];
+  if (!flow) return null;
+  return {"status": flow.status,
+          "url": flow.status === PENDING ? flow.url : null,
+          "redirectUri": flow.redirectUri,
+          "expiresAt": flow.status === PENDING ? new Date(flow.expires) : null,
+          "finishedAt": flow.finished ? new Date(flow.finished) : null,
+          "error": flow.error};
+}
+
+// Stop waiting for the browser, recording how the authorization ended
+function finish(flow, err) {
+  clearTimeout(flow.timer);
+  flow.server.close();
+  flow.finished = Date.now();
+  flow.status = err ? FAILED : AUTHORIZED;
+  flow.error = err ? err.message : null;
+  if (err) logger.error(`Authorization of user ${flow.user} failed.`, err);
+  else logger.info(`Authorized user ${flow.user}; tokens saved to ${flow.tokensPath}.`);
+}
+
+function page(res, statusCode, message) {
+  res.writeHead(statusCode, {"Content-Type": "text/html; charset=utf-8"});
+  res.end(`<!DOCTYPE html><html><head><title>Google Assistant Helper</title></head>` +
+          `<body><p>${message.replace(/&/g, '&amp;').replace(/</g, '&lt;')}</p></body></html>`);
+}
+
+// Start authorizing user the way Google has installed apps do it: the user's browser is sent to
+// Google, which redirects it back to a listener on this machine's loopback address with a code to
+// exchange for tokens. Starting again replaces an authorization in progress.
+// cb(err, status) with the URL to open once the listener is up
+function begin(user, tokensPath, cb) {
+  if (!client) {
+    cb(new Error(`No OAuth client for a desktop app in keyFilePath.`));
+    return;
+  }
+  if (flows[user] && flows[user].status === PENDING) finish(flows[user], new Error(`Replaced by a new authorization.`));
+  let verifier = base64url(crypto.randomBytes(32));
+  let flow = flows[user] = {"user": user, "tokensPath": tokensPath, "state": crypto.randomBytes(16).toString('hex'),
+                            "verifier": verifier, "redirectUri": null, "url": null, "status": PENDING, "error": null,
+                            "expires": Date.now() + FLOW_TIMEOUT, "finished": null, "exchanging": false,
+                            "server": null, "timer": null};
+  flow.server = http.createServer((req, res) => {
+    let params = new URL(req.url, flow.redirectUri).searchParams;
+    if (params.get('state') == null) page(res, 404, `Not found.`);
+    else if (flow.status !== PENDING) page(res, 409, `This authorization of ${user} has already ${flow.status === AUTHORIZED ? 'succeeded' : 'ended'}.`);
+    else complete(user, params, err => {
+      page(res, err ? 400 : 200, err ? `Authorization of ${user} failed: ${err.message}` : `Authorized ${user}. You can close this window.`);
+    });
+  });
+  flow.server.on('error', err => {
+    if (flow.status === PENDING) finish(flow, err);
+    if (!flow.url) cb(err);
+  });
+  flow.server.listen(0, '127.0.0.1', () => {
+    flow.redirectUri = `http://127.0.0.1:${flow.server.address().port}`;
+    flow.url = `${client.auth_uri || DEFAULT_AUTH_URI}?` +
+               querystring.stringify({"client_id": client.client_id,
+                                      "redirect_uri": flow.redirectUri,
+                                      "response_type": "code",
+                                      "scope": SCOPE,
+                                      "access_type": "offline",
+                                      "prompt": "consent", // So a refresh token is issued again when re-authorizing
+                                      "state": flow.state,
+                                      "code_challenge": base64url(crypto.createHash('sha256').update(verifier).digest()),
+                                      "code_challenge_method": "S256"});
+    flow.timer = setTimeout(() => finish(flow, new Error(`Timed out waiting for the browser.`)), FLOW_TIMEOUT);
+    logger.info(`Authorizing user ${user}; waiting for the browser on ${flow.redirectUri}.`);
+    cb(null, status(user));
+  });
+}
+
+// Exchange an authorization code for tokens. cb(err, tokens) in the form the google-assistant module saves
+function exchange(flow, code, cb) {
+  let body = querystring.stringify({"code": code,
+                                    "client_id": client.client_id,
+                                    "client_secret": client.client_secret,
+                                    "redirect_uri": flow.redirectUri,
+                                    "grant_type": "authorization_code",
+                                    "code_verifier": flow.verifier});
+  let req = https.request(client.token_uri || DEFAULT_TOKEN_URI,
+                          {"method": "POST", "headers": {"Content-Type": "application/x-www-form-urlencoded",
+                                                         "Content-Length": Buffer.byteLength(body)}}, res => {
+    let chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      let answer;
+      try {
+        answer = JSON.parse(Buffer.concat(chunks).toString());
+      }
+      catch (err) {
+        cb(new Error(`Unreadable answer from Google, status ${res.statusCode}.`));
+        return;
+      }
+      if (res.statusCode !== 200 || !answer.access_token) {
+        cb(new Error(`Google refused the code: ${answer.error_description || answer.error || res.statusCode}.`));
+        return;
+      }
+      cb(null, {"access_token": answer.access_token,
+                "refresh_token": answer.refresh_token,
+                "token_type": answer.token_type,
+                "expiry_date": Date.now() + (answer.expires_in || 3600) * 1000});
+    });
+  });
+  req.on('error', err => cb(new Error(`Unable to reach Google: ${err.message}`)));
+  req.end(body);
+}
+
+// Save tokens so that only their owner can read them, and they only ever appear complete
+function save(tokensPath, saved, cb) {
+  let temp = `${tokensPath}.tmp`;
+  fs.mkdir(path.dirname(tokensPath), {"recursive": true}, err => {
+    if (err) return cb(err);
+    fs.writeFile(temp, JSON.stringify(saved), {"mode": 0o600}, err => {
+      if (err) return cb(err);
+      fs.rename(temp, tokensPath, cb);
+    });
+  });
+}
+
+// Finish authorizing user with where Google sent the browser: the URL, or its query parameters, or
+// just the code. Used by the loopback listener, and by hand when the browser couldn't reach it
+// because it isn't on this machine. cb(err, status)
+function complete(user, redirected, cb) {
+  let flow = flows[user];
+  if (!flow || flow.status !== PENDING) {
+    cb(new Error(`No authorization of ${user} in progress.`));
+    return;
+  }
+  let params = redirected instanceof URLSearchParams ? redirected :
+               /^https?:/.test(redirected) ? new URL(redirected).searchParams : new URLSearchParams({"code": redirected});
+  if (params.get('error')) {
+    finish(flow, new Error(`Google returned ${params.get('error')}.`));
+    cb(new Error(flow.error), status(user));
+    return;
+  }
+  if (params.get('state') != null && params.get('state') !== flow.state) {
+    cb(new Error(`The URL isn't from this authorization of ${user}.`));
+    return;
+  }
+  if (!params.get('code')) {
+    cb(new Error(`No code in what Google returned.`));
+    return;
+  }
+  if (flow.exchanging) {
+    cb(new Error(`Authorization of ${user} is already being completed.`));
+    return;
+  }
+  flow.exchanging = true;
+  exchange(flow, params.get('code'), (err, saved) => {
+    flow.exchanging = false;
+    if (flow.status !== PENDING) {
+      cb(new Error(`No authorization of ${user} in progress.`));
+      return;
+    }
+    if (err) {
+      finish(flow, err);
+      cb(err, status(user));
+      return;
+    }
+    if (!saved.refresh_token) logger.warn(`Google issued no refresh token for ${user}; the tokens will stop working within the hour.`);
+    save(flow.tokensPath, saved, err => {
+      finish(flow, err ? new Error(`Unable to save tokens to ${flow.tokensPath}: ${err.message}`) : null);
+      if (err) {
+        cb(new Error(flow.error), status(user));
+        return;
+      }
+      authorized(user);
+      cb(null, status(user));
+    });
+  });
+}
+
+module.exports = {configure: configure, tokens: tokens, begin: begin, complete: complete, status: status,
+                  PENDING: PENDING, AUTHORIZED: AUTHORIZED, FAILED: FAILED};
@@ -0,0 +1,215 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// What happens to requests made during quiet hours
+const DROP = "drop",
+      DEFER = "defer",
+      DOWNGRADE = "downgrade";
+const POLICIES = [DROP, DEFER, DOWNGRADE];
+
+// Request priorities, lowest first. Requests at or above a policy's bypassPriority aren't held back
+const LOW = "low",
+      NORMAL = "normal",
+      HIGH = "high",
+      URGENT = "urgent";
+const PRIORITIES = [LOW, NORMAL, HIGH, URGENT];
+
+const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const DEFAULT_VOLUME = 0.2; // Level downgraded Chromecast requests are played at
+
+const fs = require('fs'),
+      logger = require('winston');
+
+const policies = {}; // Map from user, zone or device name to {schedule, policy, volume, bypassPriority}
+
+var zones = {}, // Map from zone to device names, as in the cast config
+    dnd = {}, // Map from name to the time do-not-disturb ends, or null until it is turned off, persisted
+    deferredJobs = {}, // Map from name to IDs of jobs deferred by its do-not-disturb, persisted
+    storePath = null;
+
+// "HH:MM" on the given day, in milliseconds since the epoch
+function timeOn(day, hhmm, offsetDays) {
+  let parts = hhmm.split(':');
+  let time = new Date(day);
+  time.setDate(time.getDate() + (offsetDays || 0));
+  time.setHours(Number(parts[0]), Number(parts[1]), 0, 0);
+  return time.getTime();
+}
+
+// "HH:MM" as minutes since midnight. Hours may have one digit, so the strings don't sort as times do
+function minutes(hhmm) {
+  let parts = hhmm.split(':');
+  return Number(parts[0]) * 60 + Number(parts[1]);
+}
+
+function validPeriod(period) {
+  let hhmm = /^([01]?\d|2[0-3]):[0-5]\d$/;
+  return period != null && hhmm.test(period.start) && hhmm.test(period.end) &&
+         (period.days == null || (Array.isArray(period.days) && period.days.every(d => DAYS.includes(d))));
+}
+
+// Load do-not-disturb as it was when we last stopped, so the jobs it was holding, which are persisted
+// with the job queue, are still released when it is turned off
+function init(file) {
+  storePath = file || null;
+  if (storePath && fs.existsSync(storePath)) {
+    try {
+      let stored = JSON.parse(fs.readFileSync(storePath));
+      dnd = stored.dnd || {};
+      deferredJobs = stored.deferredJobs || {};
+    }
+    catch (err) {
+      logger.error(`Unable to load do-not-disturb ${storePath}; starting with it off.`, err);
+    }
+  }
+}
+
+function persist() {
+  if (!storePath) return;
+  try {
+    fs.writeFileSync(`${storePath}.tmp`, JSON.stringify({"dnd": dnd, "deferredJobs": deferredJobs}));
+    fs.renameSync(`${storePath}.tmp`, storePath);
+  }
+  catch (err) {
+    logger.error(`Unable to persist do-not-disturb ${storePath}.`, err);
+  }
+}
+
+// Read the quietHours of each user, and of zones and devices from the cast config
+function configure(users, castConfig) {
+  zones = castConfig.zones || {};
+  Object.keys(policies).forEach(name => delete policies[name]);
+  let add = (name, quietHours) => {
+    if (!quietHours) return;
+    let schedule = (quietHours.schedule || []).filter(period => {
+      if (!validPeriod(period)) logger.error(`Invalid quiet hours for ${name}; ignoring.`, period);
+      return validPeriod(period);
+    });
+    let policy = quietHours.policy || DEFER;
+    if (!POLICIES.includes(policy)) {
+      logger.error(`Unknown quiet hours policy ${policy} for ${name}; deferring instead.`);
+      policy = DEFER;
+    }
+    policies[name] = {"schedule": schedule,
+                      "policy": policy,
+                      "volume": quietHours.volume != null ? quietHours.volume : DEFAULT_VOLUME,
+                      "bypassPriority": PRIORITIES.includes(quietHours.bypassPriority) ? quietHours.bypassPriority : URGENT};
+  };
+  Object.keys(users).forEach(user => add(user, users[user].quietHours));
+  Object.keys(castConfig.quietHours || {}).forEach(name => add(name, castConfig.quietHours[name]));
+}
+
+// The end of the scheduled quiet period time falls in, running on into any period that follows
+// straight after, or null if it isn't in one
+function scheduledEnd(schedule, time) {
+  let end = null;
+  for (let from = time; ; ) {
+    let ends = [];
+    [-1, 0].forEach(offset => {
+      let day = new Date(from);
+      day.setHours(0, 0, 0, 0);
+      day.setDate(day.getDate() + offset);
+      schedule.forEach(period => {
+        if (period.days && !period.days.includes(DAYS[day.getDay()])) return;
+        let start = timeOn(day, period.start);
+        let stop = timeOn(day, period.end, minutes(period.end) > minutes(period.start) ? 0 : 1);
+        if (from >= start && from < stop) ends.push(stop);
+      });
+    });
+    if (ends.length === 0 || (end != null && end - time > 7 * 86400000)) return end;
+    end = Math.max.apply(null, ends);
+    from = end;
+  }
+}
+
+// Whether do-not-disturb is on for name at time
+function dndAt(name, time) {
+  return dnd.hasOwnProperty(name) && (dnd[name] == null || time < dnd[name]);
+}
+
+// The names whose quiet hours apply to a request by user for devices: the user, and the zones and
+// devices it plays on
+function namesFor(user, devices) {
+  let names = [user];
+  devices.forEach(device => {
+    Object.keys(zones).forEach(zone => {
+      if (zones[zone].includes(device) && !names.includes(zone)) names.push(zone);
+    });
+    if (!names.includes(device)) names.push(device);
+  });
+  return names;
+}
+
+// The quiet period a request by user for devices would run in at time, as {name, policy, volume,
+// bypassPriority, until}, or null if it isn't quiet then. until is null while do-not-disturb is on
+// with no end
+function check(user, devices, time) {
+  let names = namesFor(user, devices || []);
+  for (let i = 0; i < names.length; i++) {
+    let name = names[i];
+    let policy = policies[name] || {"schedule": [], "policy": DEFER, "volume": DEFAULT_VOLUME, "bypassPriority": URGENT};
+    let until = dndAt(name, time) ? dnd[name] : scheduledEnd(policy.schedule, time);
+    if (until == null && !dndAt(name, time)) continue;
+    return {"name": name, "until": until, "policy": policy.policy, "volume": policy.volume, "bypassPriority": policy.bypassPriority};
+  }
+  return null;
+}
+
+// Whether a request of priority, normal if not given, goes ahead despite period
+function bypasses(priority, period) {
+  return PRIORITIES.indexOf(priority || NORMAL) >= PRIORITIES.indexOf(period.bypassPriority);
+}
+
+// Note a job deferred by the do-not-disturb of name, to be released when it is turned off
+function deferred(name, jobId) {
+  (deferredJobs[name] = deferredJobs[name] || []).push(jobId);
+  persist();
+}
+
+// Turn do-not-disturb for name on until a time, or until it is turned off if until is null, or off
+// if until is false. Returns the IDs of jobs it had deferred once it is turned off
+function setDnd(name, until) {
+  if (until === false) {
+    delete dnd[name];
+    let released = deferredJobs[name] || [];
+    delete deferredJobs[name];
+    persist();
+    logger.info(`Do-not-disturb off for ${name}.`);
+    return released;
+  }
+  dnd[name] = until;
+  persist();
+  logger.info(`Do-not-disturb on for ${name}${until ? ` until ${new Date(until)}` : ''}.`);
+  return [];
+}
+
+// Whether name is quiet now, and why
+function status(name) {
+  let now = Date.now();
+  let policy = policies[name];
+  let scheduled = policy ? scheduledEnd(policy.schedule, now) : null;
+  return {"name": name,
+          "dnd": dndAt(name, now),
+          "dndUntil": dndAt(name, now) && dnd[name] ? new Date(dnd[name]) : null,
+          "quietHours": scheduled != null,
+          "quietHoursUntil": scheduled != null ? new Date(scheduled) : null,
+          "policy": policy ? policy.policy : DEFER};
+}
+
+module.exports = {init: init, configure: configure, check: check, bypasses: bypasses, deferred: deferred, setDnd: setDnd, status: status,
+                  DROP: DROP, DEFER: DEFER, DOWNGRADE: DOWNGRADE, POLICIES: POLICIES,
+                  LOW: LOW, NORMAL: NORMAL, HIGH: HIGH, URGENT: URGENT, PRIORITIES: PRIORITIES};
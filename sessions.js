@@ -0,0 +1,112 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const crypto = require('crypto'),
+      logger = require('winston');
+
+const sessions = {}; // Map from session ID to {id, user, state, busy, lastUsed, timer}
+
+var idleTimeoutMs = 120000, // Sessions not continued within this long are forgotten
+    pending = null; // Dialog of the conversation currently being started
+
+// options: {idleTimeoutInSecs}
+function configure(options) {
+  if (options.idleTimeoutInSecs != null) idleTimeoutMs = options.idleTimeoutInSecs * 1000;
+}
+
+// The google-assistant module keeps a single conversation state for every assistant it creates,
+// so follow-ups from one user would continue whatever dialog anyone had last. Wrap the gRPC client
+// handed to us on 'ready' so each conversation instead sends the state of its own dialog, and
+// records the state the Assistant hands back onto that dialog.
+function attach(client) {
+  let converse = client.converse;
+  client.converse = function() {
+    let stream = converse.apply(this, arguments);
+    let dialog = pending || {"state": null};
+    let write = stream.write;
+    let first = true;
+    pending = null;
+
+    // The first request carries the config, including the dialog state
+    stream.write = function(request) {
+      if (first) {
+        first = false;
+        if (request.config && request.config.dialogStateIn) {
+          if (dialog.state) request.config.dialogStateIn.conversationState = dialog.state;
+          else delete request.config.dialogStateIn.conversationState;
+        }
+      }
+      return write.apply(this, arguments);
+    };
+    stream.on('data', data => {
+      if (data.dialogStateOut && data.dialogStateOut.conversationState &&
+          data.dialogStateOut.conversationState.length > 0) {
+        dialog.state = data.dialogStateOut.conversationState;
+      }
+    });
+    return stream;
+  };
+}
+
+// Start a conversation continuing from conversationState, or a new one if it is null.
+// cb(conversation, dialog) where dialog.state tracks the latest state the Assistant returned
+function start(assistant, conversationConfig, conversationState, cb) {
+  let dialog = {"state": conversationState || null};
+  // GoogleAssistant.start opens the gRPC stream synchronously, which is where attach() picks this up
+  pending = dialog;
+  assistant.start(conversationConfig, conversation => {
+    pending = null;
+    cb(conversation, dialog);
+  });
+  pending = null;
+}
+
+function expire(session) {
+  clearTimeout(session.timer);
+  session.timer = setTimeout(() => {
+    logger.debug(`Session ${session.id} for user ${session.user} expired.`);
+    delete sessions[session.id];
+  }, idleTimeoutMs);
+}
+
+// Store the state of a dialog awaiting a follow-up, under id or a new ID. Returns the ID
+function save(id, user, state) {
+  let session = id && sessions[id];
+  if (!session) {
+    session = {"id": crypto.randomBytes(8).toString('hex'), "user": user};
+    sessions[session.id] = session;
+    logger.debug(`Opened session ${session.id} for user ${user}.`);
+  }
+  session.state = state;
+  session.busy = false;
+  session.lastUsed = Date.now();
+  expire(session);
+  return session.id;
+}
+
+function get(id) {
+  return sessions.hasOwnProperty(id) ? sessions[id] : null;
+}
+
+function end(id) {
+  let session = get(id);
+  if (!session) return;
+  clearTimeout(session.timer);
+  delete sessions[id];
+  logger.debug(`Closed session ${id} for user ${session.user}.`);
+}
+
+module.exports = {configure: configure, attach: attach, start: start, save: save, get: get, end: end};
@@ -0,0 +1,353 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Environment variables with this prefix override config values, e.g.
+// HELPER__users__bedrooms__relayKey sets users.bedrooms.relayKey
+const ENV_PREFIX = "HELPER__";
+
+// Fields holding secrets, which are never shown by the config endpoint
+const SECRETS = ["relayKey", "hash", "secret"];
+
+// Settings that are only read at startup. Changes to them are held back until a restart
+const RESTART_ONLY = ["port", "certPath", "certPrivKeyPath", "keyFilePath", "logFile", "fileLogLevel", "consoleLogLevel",
+                      "staticServer", "relays.chromecastTTS", "jobs", "admin", "sounds", "monitoring", "cast.route",
+                      "limits.route", "dnd.route", "dnd.path", "events.route", "watchConfig"];
+
+const RELAYS = ["broadcast", "broadcastAudio", "custom", "chromecastAudio",
+                "chromecastTTS", "chromecastURL", "chromecastControl", "chromecastAnnouncement"];
+
+const fs = require('fs'),
+      audio = require('./audio'),
+      quiet = require('./quiet');
+
+// Schema nodes describe a value with:
+//   type - "string", "number", "boolean", "object" or "array", or a list of them
+//   required, default - whether the value must be given, or what it is if it isn't
+//   properties - for objects, the schema of each known field; other fields are warned about
+//   values - for objects used as maps, the schema of every value
+//   items - for arrays, the schema of every item
+//   enum, min, max, integer, pattern, route - constraints on the value
+//   check(value, at, problems) - further checks, pushing messages onto problems
+const ROUTE = {"type": "string", "route": true};
+const SECS = {"type": "number", "min": 0};
+const VOLUME = {"type": "number", "min": 0, "max": 1};
+const PORT = {"type": "number", "integer": true, "min": 1, "max": 65535};
+const STRINGS = {"type": "array", "items": {"type": "string"}};
+const HHMM = {"type": "string", "required": true, "pattern": /^([01]?\d|2[0-3]):[0-5]\d$/, "hint": "a time as HH:MM"};
+
+const QUIET_HOURS = {"type": "object", "properties": {
+  "schedule": {"type": "array", "default": [], "items": {"type": "object", "properties": {
+    "start": HHMM,
+    "end": HHMM,
+    "days": {"type": "array", "items": {"type": "string", "enum": ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"]}}}}},
+  "policy": {"type": "string", "enum": quiet.POLICIES, "default": quiet.DEFER},
+  "volume": VOLUME,
+  "bypassPriority": {"type": "string", "enum": quiet.PRIORITIES, "default": quiet.URGENT}}};
+
+const RATE_LIMITS = {"perMinute": {"type": "number", "integer": true, "min": 0},
+                     "perHour": {"type": "number", "integer": true, "min": 0}};
+
+const LIMITS = {"type": "object", "properties": Object.assign({
+  "relays": {"type": "object", "values": {"type": "object", "properties": RATE_LIMITS}},
+  "ttsCharactersPerDay": {"type": "number", "integer": true, "min": 0}}, RATE_LIMITS)};
+
+function relay(properties, check) {
+  return {"type": "object",
+          "default": {},
+          "properties": Object.assign({"on": {"type": "boolean", "default": false}, "route": ROUTE}, properties),
+          "check": (value, at, problems) => {
+            if (value.on && value.route == null) problems.push(`${at}.route: required when the relay is on`);
+            if (value.on && check) check(value, at, problems);
+          }};
+}
+
+const SCHEMA = {"type": "object", "properties": {
+  "port": Object.assign({"required": true}, PORT),
+  "certPath": {"type": "string"},
+  "certPrivKeyPath": {"type": "string"},
+  "keyFilePath": {"type": "string", "required": true},
+  "logFile": {"type": "string", "default": "helper.log"},
+  "fileLogLevel": {"type": "string", "default": "info"},
+  "consoleLogLevel": {"type": "string", "default": "info"},
+  "saveAudioFiles": {"type": "boolean", "default": false},
+  "language": {"type": "string", "default": "en-US"},
+  "ffmpegPath": {"type": "string"},
+  "watchConfig": {"type": "boolean", "default": true},
+  "relays": {"type": "object", "required": true, "closed": true, "properties": {
+    "broadcast": relay({}),
+    "broadcastAudio": relay({"sounds": {"type": "object", "default": {}, "values": {"type": "object", "properties": {
+      "path": {"type": "string", "required": true},
+      "format": {"type": "string", "required": true, "enum": audio.FORMATS}}}}}),
+    "custom": relay({}),
+    "chromecastAudio": relay({"sounds": {"type": "object", "default": {}, "values": {"type": "object", "properties": {
+      "path": {"type": "string", "required": true},
+      "contentType": {"type": "string", "required": true}}}}}),
+    "chromecastTTS": relay({
+      "apiCredentialPath": {"type": "string"},
+      "cachePath": {"type": "string"},
+      "defaultLanguage": {"type": "string", "default": "en-US"},
+      "defaultGender": {"type": "string", "enum": ["MALE", "FEMALE", "NEUTRAL", "SSML_VOICE_GENDER_UNSPECIFIED"],
+                        "default": "NEUTRAL"},
+      "defaultAudioConfig": {"type": "object", "default": {}, "values": {"type": ["number", "string", "array"]}},
+      "cache": {"type": "object", "properties": {
+        "maxBytes": {"type": "number", "integer": true, "min": 0},
+        "ttlInSecs": SECS,
+        "prewarm": {"type": "array", "items": {"type": ["string", "object"]}}}},
+      "providers": {"type": "array", "items": {"type": "object", "values": {"type": ["string", "number", "boolean", "array", "object"]},
+                                               "check": (value, at, problems) => {
+                                                 if (!["google", "command"].includes(value.type)) {
+                                                   problems.push(`${at}.type: must be one of google, command`);
+                                                 }
+                                               }}}
+    }, (value, at, problems) => {
+      if (value.cachePath == null) problems.push(`${at}.cachePath: required when the relay is on`);
+    }),
+    "chromecastURL": relay({}),
+    "chromecastControl": relay({}),
+    "chromecastAnnouncement": relay({"render": {"type": "boolean", "default": true},
+                                     "sampleRate": {"type": "number", "integer": true, "min": 8000, "max": 48000}})}},
+  "audio": {"type": "object", "default": {}, "properties": {
+    "maxBufferLength": {"type": "number", "integer": true, "min": 1},
+    "maxSilenceLength": {"type": "number", "integer": true, "min": 0},
+    "chunkSilenceLength": {"type": "number", "integer": true, "min": 0},
+    "silenceThreshold": {"type": "number", "min": 0}}},
+  "staticServer": {"type": "object", "properties": {
+    "port": PORT,
+    "path": {"type": "string"},
+    "route": ROUTE,
+    "whitelist": {"type": ["string", "array"]}}},
+  "cast": {"type": "object", "default": {}, "properties": {
+    "route": ROUTE,
+    "devices": {"type": "array", "items": {"type": "object", "properties": {
+      "friendlyName": {"type": "string", "required": true},
+      "host": {"type": "string", "required": true},
+      "port": PORT,
+      "model": {"type": "string"},
+      "capabilities": STRINGS}}},
+    "zones": {"type": "object", "values": STRINGS},
+    "quietHours": {"type": "object", "values": QUIET_HOURS}}},
+  "dnd": {"type": "object", "properties": {"route": ROUTE, "path": {"type": "string"}, "maxDeferInSecs": SECS}},
+  "jobs": {"type": "object", "properties": {
+    "path": {"type": "string"},
+    "route": ROUTE,
+    "retentionInSecs": SECS,
+    "resumeDelayInSecs": SECS,
+    "waitTimeoutInSecs": SECS}},
+  "admin": {"type": "object", "properties": {"route": ROUTE}},
+  "monitoring": {"type": "object", "properties": {
+    "healthRoute": ROUTE,
+    "readyRoute": ROUTE,
+    "metricsRoute": ROUTE,
+    "whitelist": {"type": ["string", "array"]},
+    "details": {"type": "boolean", "default": false}}},
+  "events": {"type": "object", "properties": {
+    "route": ROUTE,
+    "keepAliveInSecs": {"type": "number", "min": 1},
+    "webhooks": {"type": "array", "default": [], "items": {"type": "object", "properties": {
+      "name": {"type": "string", "required": true},
+      "url": {"type": "string", "required": true, "pattern": /^https?:\/\/./, "hint": "an http or https URL"},
+      "events": STRINGS,
+      "secret": {"type": "string"},
+      "timeoutInSecs": {"type": "number", "min": 1},
+      "maxAttempts": {"type": "number", "integer": true, "min": 1}}}}}},
+  "sounds": {"type": "object", "properties": {
+    "route": ROUTE,
+    "path": {"type": "string"},
+    "maxBytes": {"type": "number", "integer": true, "min": 1}}},
+  "limits": {"type": "object", "properties": Object.assign({
+    "route": ROUTE,
+    "path": {"type": "string"},
+    "dedupWindowInSecs": SECS}, LIMITS.properties)},
+  "auth": {"type": "object", "properties": {"maxSkewInSecs": SECS}},
+  "sessions": {"type": "object", "properties": {"idleTimeoutInSecs": SECS}},
+  "users": {"type": "object", "required": true, "values": {"type": "object", "properties": {
+    "savedTokensPath": {"type": "string", "required": true},
+    "relayKey": {"type": ["string", "number"]},
+    "keys": {"type": "array", "items": {"type": "object", "properties": {
+      "name": {"type": "string", "required": true},
+      "hash": {"type": "string", "pattern": /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/, "hint": "a hash from npm run hash-key"},
+      "secret": {"type": "string"},
+      "scope": {"type": "object", "properties": {
+        "relays": {"type": "array", "items": {"type": "string", "enum": RELAYS}},
+        "targets": STRINGS,
+        "admin": {"type": "boolean"}}}},
+      "check": (value, at, problems) => {
+        if ((value.hash == null) === (value.secret == null)) problems.push(`${at}: needs either a hash or a secret`);
+      }}},
+    "chromecastFriendlyName": {"type": "string"},
+    "announcementVolume": VOLUME,
+    "restoreMedia": {"type": "boolean"},
+    "admin": {"type": "boolean"},
+    "limits": LIMITS,
+    "quietHours": QUIET_HOURS,
+    "tts": {"type": "object", "properties": {
+      "voice": {"type": "object"},
+      "audioConfig": {"type": "object"}}}}}}}};
+
+// Checks across sections, made whatever else is wrong
+function crossCheck(config, problems) {
+  let relays = config.relays || {};
+  let on = name => relays[name] && relays[name].on;
+  if (on("chromecastAnnouncement") && !on("chromecastTTS")) {
+    problems.push(`relays.chromecastAnnouncement: needs the chromecastTTS relay for its cache`);
+  }
+  // Chromecasts fetch sounds and speech from the static server
+  if (on("chromecastAudio") || on("chromecastTTS")) {
+    let staticServer = config.staticServer || {};
+    ["port", "path", "route"].filter(k => staticServer[k] == null).forEach(k => {
+      problems.push(`staticServer.${k}: required when the chromecastAudio or chromecastTTS relay is on`);
+    });
+  }
+  // Every endpoint needs a route of its own
+  let routes = {};
+  let claim = (route, what) => {
+    if (route == null) return;
+    if (routes[route]) problems.push(`${what}: route ${route} is also used by ${routes[route]}`);
+    else routes[route] = what;
+  };
+  RELAYS.filter(on).forEach(name => claim(relays[name].route, `relays.${name}`));
+  claim((config.jobs || {}).route || "/jobs", "jobs");
+  claim((config.cast || {}).route || "/devices", "cast");
+  claim((config.limits || {}).route || "/limits", "limits");
+  claim((config.dnd || {}).route || "/dnd", "dnd");
+  claim((config.admin || {}).route || "/admin", "admin");
+  claim((config.sounds || {}).route || "/sounds", "sounds");
+  claim((config.monitoring || {}).healthRoute || "/healthz", "monitoring.healthRoute");
+  claim((config.monitoring || {}).readyRoute || "/readyz", "monitoring.readyRoute");
+  claim((config.monitoring || {}).metricsRoute || "/metrics", "monitoring.metricsRoute");
+  claim((config.events || {}).route || "/events", "events");
+  // Deliveries are counted by webhook name
+  let names = {};
+  ((config.events || {}).webhooks || []).forEach((hook, i) => {
+    if (hook && names[hook.name]) problems.push(`events.webhooks[${i}].name: ${hook.name} is also used by another webhook`);
+    else if (hook) names[hook.name] = true;
+  });
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return "array";
+  if (value === null) return "null";
+  return typeof value;
+}
+
+// Check value against node, filling in defaults. Problems are pushed onto problems, and unknown
+// fields onto warnings, each prefixed with the path of the value
+function check(node, value, at, problems, warnings) {
+  let found = problems.length;
+  let types = [].concat(node.type);
+  if (!types.includes(typeOf(value))) {
+    problems.push(`${at}: must be ${types.map(t => /^[aeiou]/.test(t) ? `an ${t}` : `a ${t}`).join(' or ')}, not ${typeOf(value)}`);
+    return;
+  }
+  if (node.enum && !node.enum.includes(value)) problems.push(`${at}: must be one of ${node.enum.join(', ')}, not ${JSON.stringify(value)}`);
+  if (node.integer && !Number.isInteger(value)) problems.push(`${at}: must be a whole number`);
+  if (node.min != null && value < node.min) problems.push(`${at}: must be at least ${node.min}`);
+  if (node.max != null && value > node.max) problems.push(`${at}: must be at most ${node.max}`);
+  if (node.pattern && !node.pattern.test(value)) problems.push(`${at}: must be ${node.hint}, not ${JSON.stringify(value)}`);
+  if (node.route && !value.startsWith('/')) problems.push(`${at}: must start with "/", e.g. "/${value}"`);
+  if (typeOf(value) === "object") {
+    if (node.properties) {
+      Object.keys(node.properties).forEach(k => {
+        let child = node.properties[k];
+        if (value[k] == null && child.default !== undefined) value[k] = JSON.parse(JSON.stringify(child.default));
+        if (value[k] != null) check(child, value[k], at ? `${at}.${k}` : k, problems, warnings);
+        else if (child.required) problems.push(`${at ? `${at}.${k}` : k}: required`);
+      });
+      Object.keys(value).filter(k => !node.properties.hasOwnProperty(k)).forEach(k => {
+        if (node.closed) problems.push(`${at}.${k}: unknown; must be one of ${Object.keys(node.properties).join(', ')}`);
+        else if (!node.values) warnings.push(`${at ? `${at}.${k}` : k}: unknown setting, ignored`);
+      });
+    }
+    if (node.values) {
+      Object.keys(value).filter(k => !(node.properties && node.properties.hasOwnProperty(k)))
+                        .forEach(k => check(node.values, value[k], `${at}.${k}`, problems, warnings));
+    }
+  }
+  if (typeOf(value) === "array" && node.items) value.forEach((item, i) => check(node.items, item, `${at}[${i}]`, problems, warnings));
+  // Further checks can rely on the value being well formed, but not on anything else being
+  if (node.check && problems.length === found) node.check(value, at, problems);
+}
+
+// Validate a parsed config, filling in defaults. Returns {config, errors, warnings}
+function validate(config) {
+  let errors = [], warnings = [];
+  check(SCHEMA, config, "", errors, warnings);
+  if (typeOf(config) === "object") crossCheck(config, errors);
+  return {"config": config, "errors": errors, "warnings": warnings};
+}
+
+// Set config values from environment variables named for their paths, e.g.
+// HELPER__users__bedrooms__relayKey. Values that parse as JSON are taken as such, others as strings
+function applyEnv(config, env) {
+  Object.keys(env).filter(name => name.startsWith(ENV_PREFIX)).forEach(name => {
+    let keys = name.slice(ENV_PREFIX.length).split('__');
+    let target = config;
+    keys.slice(0, -1).forEach(k => {
+      if (target[k] == null || typeof target[k] !== 'object') target[k] = {};
+      target = target[k];
+    });
+    let value = env[name];
+    try {
+      value = JSON.parse(value);
+    }
+    catch (err) {} // A plain string
+    target[keys[keys.length - 1]] = value;
+  });
+  return config;
+}
+
+// Read, override from the environment and validate the config file. Returns {config, errors,
+// warnings}, with config null if the file can't be read
+function load(file, env) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  }
+  catch (err) {
+    return {"config": null, "errors": [`${file}: ${err.message}`], "warnings": []};
+  }
+  return validate(applyEnv(config, env || {}));
+}
+
+function get(config, dotted) {
+  return dotted.split('.').reduce((value, k) => value == null ? undefined : value[k], config);
+}
+
+// Carry the running values of restart-only settings over into a reloaded config. Returns the
+// settings that changed and so need a restart to take effect
+function keepRestartOnly(running, reloaded) {
+  return RESTART_ONLY.filter(dotted => {
+    let before = get(running, dotted);
+    if (JSON.stringify(before) === JSON.stringify(get(reloaded, dotted))) return false;
+    let keys = dotted.split('.');
+    let parent = get(reloaded, keys.slice(0, -1).join('.')) || reloaded;
+    if (before === undefined) delete parent[keys[keys.length - 1]];
+    else parent[keys[keys.length - 1]] = before;
+    return true;
+  });
+}
+
+// A copy of the config with its secrets blanked out
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (value === null || typeof value !== 'object') return value;
+  let copy = {};
+  Object.keys(value).forEach(k => copy[k] = SECRETS.includes(k) && value[k] != null ? "[Redacted]" : redact(value[k]));
+  return copy;
+}
+
+module.exports = {load: load, validate: validate, crossCheck: crossCheck, keepRestartOnly: keepRestartOnly, redact: redact,
+                  RELAYS: RELAYS, ENV_PREFIX: ENV_PREFIX};
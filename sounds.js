@@ -0,0 +1,199 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Dotfile, so serve-static won't hand who uploaded what to anyone who can reach the static server
+const INDEX_FILE = ".sounds-index.json",
+      OLD_INDEX_FILE = "sounds.json"; // Where the index was kept before, moved on startup
+
+// What Chromecasts are sent for each format they can play. LINEAR16 has no header to tell them what it is
+const CONTENT_TYPES = {"WAV": "audio/wav", "MP3": "audio/mpeg", "FLAC": "audio/flac", "OGG": "audio/ogg"};
+const EXTENSIONS = {"LINEAR16": "lpcm16", "WAV": "wav", "MP3": "mp3", "FLAC": "flac", "OGG": "ogg"};
+
+const fs = require('fs'),
+      path = require('path'),
+      crypto = require('crypto'),
+      logger = require('winston'),
+      errors = require('./errors'),
+      audio = require('./audio');
+
+var entries = {}, // Map from sound name to {name, filename, format, contentType, bytes, durationInSecs,
+                  // sampleRate, channels, broadcast, cast, problems, uploadedAt, uploadedBy}
+    libraryPath = null,
+    options = {}; // {ffmpegPath, maxBufferLength, maxSilenceLength, silenceThreshold}
+
+// Load the library index from dir, creating the directory if need be
+function init(dir) {
+  libraryPath = dir;
+  try {
+    fs.mkdirSync(libraryPath, {"recursive": true});
+    let indexPath = path.join(libraryPath, INDEX_FILE);
+    let oldIndexPath = path.join(libraryPath, OLD_INDEX_FILE);
+    if (!fs.existsSync(indexPath) && fs.existsSync(oldIndexPath)) fs.renameSync(oldIndexPath, indexPath);
+    if (fs.existsSync(indexPath)) entries = JSON.parse(fs.readFileSync(indexPath));
+  }
+  catch (err) {
+    logger.error(`Unable to load sound library ${libraryPath}; starting empty.`, err);
+  }
+  logger.info(`Sound library has ${Object.keys(entries).length} sounds.`);
+}
+
+// How sounds are decoded and what fits in a broadcast. Called again whenever the config is reloaded.
+// opts: {ffmpegPath, maxBufferLength, maxSilenceLength, silenceThreshold}
+function configure(opts) {
+  options = opts;
+}
+
+function persist() {
+  let indexPath = path.join(libraryPath, INDEX_FILE);
+  try {
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(entries));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  }
+  catch (err) {
+    logger.error(`Unable to persist sound library ${indexPath}.`, err);
+  }
+}
+
+// Work out the format of audio data from its first bytes. Raw LINEAR16 has no header, so it is only
+// taken to be that if declared so. Returns null if the format isn't recognised
+function sniff(buf, declared) {
+  let magic = n => buf.toString('latin1', 0, n);
+  if (buf.length >= 12 && magic(4) === 'RIFF' && buf.toString('latin1', 8, 12) === 'WAVE') return audio.WAV;
+  if (magic(4) === 'fLaC') return audio.FLAC;
+  if (magic(4) === 'OggS') return audio.OGG;
+  if (magic(3) === 'ID3' || (buf.length >= 2 && buf[0] === 0xFF && (buf[1] & 0xE0) === 0xE0)) return audio.MP3;
+  return declared === audio.LINEAR16 ? audio.LINEAR16 : null;
+}
+
+// Describe the sound in file: its duration and, for WAV and LINEAR16, sample rate and channels, and
+// whether it can be broadcast and cast, with the reasons if not. Broadcasting needs the sound to
+// decode to LINEAR16, which takes ffmpeg for anything but WAV and LINEAR16, and to fit in one
+// broadcast once silences are shortened. cb(err, metadata)
+function describe(file, format, cb) {
+  let metadata = {"format": format, "contentType": CONTENT_TYPES[format] || null,
+                  "durationInSecs": null, "sampleRate": null, "channels": null,
+                  "broadcast": false, "cast": CONTENT_TYPES.hasOwnProperty(format), "problems": []};
+  if (!metadata.cast) metadata.problems.push(`${format} audio can't be cast; upload WAV, MP3, FLAC or OGG instead.`);
+  audio.decode(file, format, {"ffmpegPath": options.ffmpegPath}, (err, buf, source) => {
+    if (err) {
+      if (err.code !== errors.AUDIO_CONVERSION_FAILED) {
+        cb(err);
+        return;
+      }
+      metadata.problems.push(`Unable to decode ${format} audio${format === audio.WAV ? '' : ' without ffmpeg'}, so it can't be broadcast.`);
+      cb(null, metadata);
+      return;
+    }
+    metadata.durationInSecs = audio.duration(buf.length);
+    metadata.sampleRate = source.sampleRate || null;
+    metadata.channels = source.channels || null;
+    let broadcastLength = audio.truncateSilences(buf, options.maxSilenceLength, options.silenceThreshold).length;
+    metadata.broadcast = broadcastLength <= options.maxBufferLength;
+    if (!metadata.broadcast) {
+      metadata.problems.push(`Too long to broadcast: ${audio.duration(broadcastLength)} seconds once silences are shortened, ` +
+                             `longer than the maximum ${audio.duration(options.maxBufferLength)}.`);
+    }
+    cb(null, metadata);
+  });
+}
+
+// Write data to a new file in the library and describe it. declared is the format the uploader says
+// it is in, which only matters for raw LINEAR16. cb(err, metadata, filename)
+function store(data, declared, cb) {
+  let format = sniff(data, declared);
+  if (!format) {
+    cb(errors.relayError(errors.AUDIO_CONVERSION_FAILED, `Unrecognised audio format; upload WAV, MP3, FLAC, OGG or LINEAR16.`));
+    return;
+  }
+  let filename = `${crypto.randomBytes(8).toString('hex')}.${EXTENSIONS[format]}`;
+  let file = path.join(libraryPath, filename);
+  fs.writeFile(file, data, err => {
+    if (err) {
+      cb(errors.relayError(errors.FILE_ERROR, `Unable to write sound to disk.`, err));
+      return;
+    }
+    describe(file, format, (err, metadata) => {
+      if (err) fs.unlink(file, () => cb(err));
+      else cb(null, Object.assign(metadata, {"bytes": data.length}), filename);
+    });
+  });
+}
+
+// Describe data without adding it to the library. cb(err, metadata)
+function probe(data, declared, cb) {
+  store(data, declared, (err, metadata, filename) => {
+    if (err) cb(err);
+    else fs.unlink(path.join(libraryPath, filename), () => cb(null, metadata));
+  });
+}
+
+// Add data to the library as name, replacing any sound already of that name. cb(err, entry)
+function add(name, data, declared, user, cb) {
+  store(data, declared, (err, metadata, filename) => {
+    if (err) {
+      cb(err);
+      return;
+    }
+    let replaced = entries[name];
+    entries[name] = Object.assign({"name": name, "filename": filename}, metadata,
+                                  {"uploadedAt": new Date(), "uploadedBy": user});
+    persist();
+    if (replaced) fs.unlink(path.join(libraryPath, replaced.filename), () => {});
+    logger.info(`Added sound ${name} to the library.`, entries[name]);
+    cb(null, entries[name]);
+  });
+}
+
+function list() {
+  return Object.keys(entries).sort().map(name => entries[name]);
+}
+
+function get(name) {
+  return entries.hasOwnProperty(name) ? entries[name] : null;
+}
+
+// Returns the renamed entry, or null if there is no sound of that name
+function rename(name, newName) {
+  let entry = get(name);
+  if (!entry) return null;
+  delete entries[name];
+  entry.name = newName;
+  entries[newName] = entry;
+  persist();
+  logger.info(`Renamed sound ${name} to ${newName}.`);
+  return entry;
+}
+
+// Returns whether there was a sound of that name to delete
+function remove(name) {
+  let entry = get(name);
+  if (!entry) return false;
+  delete entries[name];
+  persist();
+  fs.unlink(path.join(libraryPath, entry.filename), err => {
+    if (err) logger.error(`Unable to delete sound file ${entry.filename}.`, err);
+  });
+  logger.info(`Deleted sound ${name} from the library.`);
+  return true;
+}
+
+// Where a library sound's file is
+function file(entry) {
+  return path.join(libraryPath, entry.filename);
+}
+
+module.exports = {init: init, configure: configure, probe: probe, add: add, list: list, get: get, rename: rename,
+                  remove: remove, file: file};
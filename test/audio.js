@@ -0,0 +1,114 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const THRESHOLD = 100;
+
+const assert = require('assert'),
+      logger = require('winston'),
+      audio = require('../audio');
+
+logger.level = 'error'; // Cutting where there is no silence warns
+
+// n samples of LINEAR16 audio, loud enough to count as sound or silent
+function loud(n) {
+  let buf = Buffer.alloc(n * 2);
+  for (let i = 0; i < n; i++) buf.writeInt16LE(i % 2 ? 1000 : -1000, i * 2);
+  return buf;
+}
+
+function quiet(n) {
+  return Buffer.alloc(n * 2);
+}
+
+function lengths(bufs) {
+  return bufs.map(buf => buf.length);
+}
+
+const tests = {
+  "chunkBuffer splits in the middle of the last silence that fits": () => {
+    let buf = Buffer.concat([loud(100), quiet(50), loud(100), quiet(50), loud(100)]);
+    let bufs = audio.chunkBuffer(buf, 50, 400, THRESHOLD);
+    assert.deepStrictEqual(lengths(bufs), [250, 300, 250]);
+    assert.ok(Buffer.concat(bufs).equals(buf));
+  },
+
+  "chunkBuffer ignores silences shorter than minLength": () => {
+    let buf = Buffer.concat([loud(100), quiet(10), loud(300)]);
+    assert.deepStrictEqual(lengths(audio.chunkBuffer(buf, 50, 400, THRESHOLD)), [400, 400, 20]);
+  },
+
+  "chunkBuffer cuts at maxLength without silence, leaving a shorter last chunk": () => {
+    let buf = loud(500);
+    let bufs = audio.chunkBuffer(buf, 50, 400, THRESHOLD);
+    assert.deepStrictEqual(lengths(bufs), [400, 400, 200]);
+    assert.ok(Buffer.concat(bufs).equals(buf));
+  },
+
+  "chunkBuffer keeps chunks to whole samples": () => {
+    assert.deepStrictEqual(lengths(audio.chunkBuffer(loud(500), 50, 401, THRESHOLD)), [400, 400, 200]);
+  },
+
+  "chunkBuffer returns a buffer shorter than one chunk as it is": () => {
+    let buf = loud(10);
+    let bufs = audio.chunkBuffer(buf, 50, 400, THRESHOLD);
+    assert.strictEqual(bufs.length, 1);
+    assert.strictEqual(bufs[0], buf);
+    assert.strictEqual(audio.chunkBuffer(loud(200), 50, 400, THRESHOLD).length, 1);
+  },
+
+  "chunkBuffer keeps every byte of all-silent input": () => {
+    let buf = quiet(500);
+    let bufs = audio.chunkBuffer(buf, 50, 400, THRESHOLD);
+    assert.ok(bufs.every(chunk => chunk.length > 0 && chunk.length <= 400));
+    assert.ok(Buffer.concat(bufs).equals(buf));
+  },
+
+  "truncateSilences leaves short silences alone": () => {
+    let buf = Buffer.concat([loud(50), quiet(20), loud(50)]);
+    assert.strictEqual(audio.truncateSilences(buf, 40, THRESHOLD), buf);
+  },
+
+  "truncateSilences shortens long silences in the middle": () => {
+    let buf = Buffer.concat([loud(50), quiet(100), loud(50)]);
+    let truncated = audio.truncateSilences(buf, 40, THRESHOLD);
+    assert.ok(truncated.equals(Buffer.concat([loud(50), quiet(20), loud(50)])));
+  },
+
+  "truncateSilences shortens leading and trailing silence": () => {
+    let buf = Buffer.concat([quiet(100), loud(50), quiet(100)]);
+    let truncated = audio.truncateSilences(buf, 40, THRESHOLD);
+    assert.ok(truncated.equals(Buffer.concat([quiet(20), loud(50), quiet(20)])));
+  },
+
+  "truncateSilences shortens all-silent input to maxLength": () => {
+    assert.ok(audio.truncateSilences(quiet(500), 100, THRESHOLD).equals(quiet(50)));
+    assert.ok(audio.truncateSilences(quiet(500), 101, THRESHOLD).equals(quiet(50)));
+  }
+};
+
+let failed = 0;
+Object.keys(tests).forEach(name => {
+  try {
+    tests[name]();
+    console.log(`ok - ${name}`);
+  }
+  catch (err) {
+    failed++;
+    console.log(`not ok - ${name}`);
+    console.log(err.stack);
+  }
+});
+process.exitCode = failed > 0 ? 1 : 0;
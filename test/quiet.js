@@ -0,0 +1,194 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+// Runs the server against a stand-in Assistant that answers every text query with RESPONSE, and
+// checks what custom requests send it during quiet hours
+
+const PORT = 28417,
+      KEY = "testkey",
+      RESPONSE = "It is sunny";
+
+const assert = require('assert'),
+      events = require('events'),
+      fs = require('fs'),
+      http = require('http'),
+      os = require('os'),
+      path = require('path'),
+      Module = require('module'),
+      logger = require('winston');
+
+logger.level = 'error'; // Until the server sets up logging from the config
+
+const sent = []; // Every text query the stand-in Assistant was given
+
+var ready = 0, // Assistants started
+    onReady = null;
+
+function FakeAssistant() {
+  events.EventEmitter.call(this);
+  setImmediate(() => {
+    this.emit('ready', {"converse": () => new events.EventEmitter()});
+    ready++;
+    if (onReady) onReady();
+  });
+}
+require('util').inherits(FakeAssistant, events.EventEmitter);
+FakeAssistant.prototype.start = function(conversationConfig, cb) {
+  let conversation = Object.assign(new events.EventEmitter(), {"end": () => {}});
+  sent.push(conversationConfig.textQuery);
+  cb(conversation);
+  setImmediate(() => {
+    // Broadcasts have nothing to say back
+    conversation.emit('response', conversationConfig.textQuery.startsWith('broadcast ') ? '' : RESPONSE);
+    conversation.emit('ended', null, false);
+  });
+};
+
+// Nothing on the network: no Assistant, and no Chromecasts to discover
+const fakes = {
+  "google-assistant": FakeAssistant,
+  "mdns": {"rst": {"DNSServiceResolve": () => null, "getaddrinfo": () => null, "makeAddressesUnique": () => null},
+           "dns_sd": {},
+           "tcp": () => null,
+           "createBrowser": () => Object.assign(new events.EventEmitter(), {"start": () => {}})}
+};
+const resolve = Module._resolveFilename;
+Module._resolveFilename = function(request) {
+  return fakes.hasOwnProperty(request) ? request : resolve.apply(this, arguments);
+};
+Object.keys(fakes).forEach(name => require.cache[name] = {"id": name, "filename": name, "loaded": true, "exports": fakes[name]});
+
+// Three users: quiet all day downgrading requests, quiet all day deferring them, and never quiet.
+// Everything the server writes goes in a directory of its own
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'helper-test-'));
+process.chdir(dir);
+const allDay = policy => ({"schedule": [{"start": "00:00", "end": "00:00"}], "policy": policy});
+const users = {"downgraded": allDay("downgrade"), "deferred": allDay("defer"), "awake": null};
+const config = {"port": PORT,
+                "keyFilePath": "client.json",
+                "logFile": "helper.log",
+                "fileLogLevel": "error",
+                "consoleLogLevel": "error",
+                "watchConfig": false,
+                "relays": {"custom": {"on": true, "route": "/custom"}},
+                "jobs": {"path": "jobs.json"},
+                "limits": {"path": "limits.json"},
+                "sounds": {"path": "sounds"},
+                "users": {}};
+Object.keys(users).forEach(user => {
+  let tokens = `${user}-tokens.json`;
+  fs.writeFileSync(tokens, JSON.stringify({"refresh_token": "refresh", "access_token": "access"}));
+  config.users[user] = {"savedTokensPath": tokens, "relayKey": KEY};
+  if (users[user]) config.users[user].quietHours = users[user];
+});
+fs.writeFileSync("client.json", JSON.stringify({"installed": {"client_id": "id", "client_secret": "secret"}}));
+fs.writeFileSync("config.json", JSON.stringify(config));
+process.env.HELPER_CONFIG = path.join(dir, "config.json");
+
+function post(route, body, cb) {
+  let data = JSON.stringify(body);
+  let req = http.request({"port": PORT, "path": route, "method": "POST",
+                          "headers": {"Content-Type": "application/json", "Content-Length": Buffer.byteLength(data)}}, res => {
+    let chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => cb(res.statusCode, JSON.parse(Buffer.concat(chunks))));
+  });
+  req.on('error', err => { throw err; });
+  req.end(data);
+}
+
+function custom(user, command, cb) {
+  sent.length = 0;
+  post("/custom", {"user": user, "relayKey": KEY, "command": command, "wait": true}, cb);
+}
+
+const tests = {
+  "custom requests outside quiet hours broadcast the response": (done) => {
+    custom("awake", "what's the weather", (status, body) => {
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.quietFor, undefined);
+      assert.deepStrictEqual(sent, ["what's the weather", `broadcast ${RESPONSE}`]);
+      done();
+    });
+  },
+
+  "custom requests downgraded during quiet hours keep the response to themselves": (done) => {
+    custom("downgraded", "what's the weather", (status, body) => {
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.quietFor, "downgraded");
+      assert.strictEqual(body.downgradedTo, "custom");
+      assert.strictEqual(body.outcome.text, RESPONSE);
+      assert.deepStrictEqual(sent, ["what's the weather"]);
+      done();
+    });
+  },
+
+  "custom requests are deferred during quiet hours": (done) => {
+    post("/custom", {"user": "deferred", "relayKey": KEY, "command": "what's the weather"}, (status, body) => {
+      assert.strictEqual(status, 200);
+      assert.strictEqual(body.quietFor, "deferred");
+      assert.strictEqual(body.deferred, true);
+      assert.ok(new Date(body.runAt) > Date.now());
+      // Give the job the chance to run, were it not deferred
+      setTimeout(() => {
+        assert.deepStrictEqual(sent, []);
+        done();
+      }, 200);
+    });
+  }
+};
+
+let failed = 0;
+let names = Object.keys(tests);
+let finish = null; // Ends the test running, with the error it failed with if it did
+let next = (i) => {
+  if (i >= names.length) {
+    process.chdir(os.tmpdir());
+    fs.rmSync(dir, {"recursive": true, "force": true});
+    process.exit(failed > 0 ? 1 : 0);
+  }
+  finish = (err) => {
+    finish = () => {};
+    if (err) {
+      failed++;
+      console.log(`not ok - ${names[i]}`);
+      console.log(err.stack);
+    }
+    else console.log(`ok - ${names[i]}`);
+    next(i + 1);
+  };
+  sent.length = 0;
+  try {
+    tests[names[i]](() => finish());
+  }
+  catch (err) {
+    finish(err);
+  }
+};
+
+// Assertions fail in callbacks, outside the try above
+process.on('uncaughtException', err => {
+  if (finish) finish(err);
+  else {
+    console.log(`not ok - ${err.stack}`);
+    process.exit(1);
+  }
+});
+
+require('../google-assistant-helper');
+onReady = () => {
+  if (ready === Object.keys(users).length) setImmediate(() => next(0));
+};
@@ -0,0 +1,283 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const GOOGLE = "google",
+      COMMAND = "command";
+
+const fs = require('fs'),
+      os = require('os'),
+      path = require('path'),
+      crypto = require('crypto'),
+      childProcess = require('child_process'),
+      logger = require('winston'),
+      errors = require('./errors'),
+      metrics = require('./metrics'),
+      ttscache = require('./ttscache');
+
+const inflight = {}, // Map from rendition filename to callbacks waiting on its synthesis
+      outcomes = {}; // Map from provider name to {ok, error, at} for its last synthesis
+
+metrics.define("assistant_helper_tts_syntheses_total", metrics.COUNTER, "Speech synthesized by each TTS provider, by result.");
+
+var providers = [], // Ordered fallback chain of providers
+    cachePath = null;
+
+// Google Cloud Text-to-Speech. options: {name, apiCredentialPath}
+function googleProvider(options) {
+  const tts = require('@google-cloud/text-to-speech');
+  const client = new tts.TextToSpeechClient({keyFilename: `${options.apiCredentialPath}`});
+
+  return {
+    name: options.name || GOOGLE,
+    extension: 'mp3',
+    contentType: 'audio/mp3',
+    synthesize: (request, cb) => {
+      let ttsRequest = {
+        input: request.ssml ? {ssml: request.text} : {text: request.text},
+        voice: request.voice,
+        audioConfig: Object.assign({}, request.audioConfig, {audioEncoding: 'MP3'})
+      }
+      client.synthesizeSpeech(ttsRequest, (err, response) => {
+        if (err) cb(err);
+        else cb(null, response.audioContent);
+      });
+    }
+  };
+}
+
+// A local engine such as espeak-ng, pico2wave or piper, run as a process without a shell.
+// options: {name, command, args, stdin, ssml, extension, contentType, timeoutInSecs}
+// args may contain the placeholders {text}, {output}, {languageCode}, {voiceName}, {ssmlGender},
+// {speakingRate}, {pitch} and {volumeGainDb}. If there is no {output} argument the audio is read
+// from stdout, and with stdin set the text is written to the process rather than passed as an
+// argument. Unless ssml is set to say the engine understands it, SSML input is reduced to its text.
+function commandProvider(options) {
+  if (!options.command) throw new Error(`TTS provider ${options.name} has no command.`);
+  let extension = options.extension || 'wav';
+  let args = options.args || [];
+  let toFile = args.some(arg => arg.includes('{output}'));
+
+  return {
+    name: options.name || path.basename(options.command),
+    extension: extension,
+    contentType: options.contentType || `audio/${extension}`,
+    synthesize: (request, cb) => {
+      let output = path.join(os.tmpdir(), `tts-${crypto.randomBytes(8).toString('hex')}.${extension}`);
+      let audioConfig = request.audioConfig || {};
+      let text = (request.ssml && !options.ssml) ? stripSsml(request.text) : request.text;
+      let values = {"text": text,
+                    "output": output,
+                    "languageCode": request.voice.languageCode || '',
+                    "voiceName": request.voice.name || '',
+                    "ssmlGender": request.voice.ssmlGender || '',
+                    "speakingRate": String(audioConfig.speakingRate == null ? 1 : audioConfig.speakingRate),
+                    "pitch": String(audioConfig.pitch == null ? 0 : audioConfig.pitch),
+                    "volumeGainDb": String(audioConfig.volumeGainDb == null ? 0 : audioConfig.volumeGainDb)};
+      let argv = args.map(arg => arg.replace(/\{(\w+)\}/g, (match, key) => values.hasOwnProperty(key) ? values[key] : match));
+
+      logger.debug(`Running TTS command ${options.command}.`, {"args": argv});
+      let child = childProcess.execFile(options.command, argv,
+                                        {"encoding": 'buffer',
+                                         "maxBuffer": 64 * 1024 * 1024,
+                                         "timeout": (options.timeoutInSecs || 30) * 1000},
+                                        (err, stdout, stderr) => {
+        if (err) {
+          fs.unlink(output, () => {});
+          cb(new Error(`${options.command} failed: ${err.message} ${stderr ? stderr.toString().trim() : ''}`));
+        }
+        else if (!toFile) {
+          cb(null, stdout);
+        }
+        else {
+          fs.readFile(output, (err, audio) => {
+            fs.unlink(output, () => {});
+            cb(err, audio);
+          });
+        }
+      });
+      if (options.stdin) child.stdin.end(text);
+    }
+  };
+}
+
+// For engines without SSML support, keep only the text to be spoken
+function stripSsml(ssml) {
+  return ssml.replace(/<[^>]*>/g, ' ')
+             .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+             .replace(/&amp;/g, '&')
+             .replace(/\s+/g, ' ').trim();
+}
+
+const providerTypes = {};
+providerTypes[GOOGLE] = googleProvider;
+providerTypes[COMMAND] = commandProvider;
+
+// Build the provider chain from the chromecastTTS relay config and load the cache. Without a
+// "providers" list, the Google client configured by apiCredentialPath is the only provider
+function configure(options) {
+  cachePath = options.cachePath;
+  ttscache.init(cachePath, options.cache || {});
+  let chain = options.providers || [{"type": GOOGLE, "apiCredentialPath": options.apiCredentialPath}];
+  providers = chain.map(p => {
+    if (!providerTypes[p.type]) throw new Error(`Unknown TTS provider type ${p.type}.`);
+    return providerTypes[p.type](p);
+  });
+  logger.info(`TTS providers configured: ${providers.map(p => p.name).join(', ')}.`);
+}
+
+// Renditions from different providers, of SSML rather than text or with a different audio profile
+// all sound different, so each is part of the key. They are hashed as a JSON array, so no two
+// requests can run together into the same string
+function cacheKey(provider, request) {
+  let voice = request.voice;
+  let audioConfig = request.audioConfig || {};
+  let sortedAudioConfig = {};
+  Object.keys(audioConfig).sort().forEach(k => sortedAudioConfig[k] = audioConfig[k]);
+  return crypto.createHash('sha1').update(JSON.stringify([provider.name, request.text, !!request.ssml,
+                                                          voice.languageCode, voice.ssmlGender, voice.name,
+                                                          sortedAudioConfig])).digest('hex');
+}
+
+// Write a file so that it only ever appears under its final name complete and flushed to disk: the
+// static server may be asked for it by a Chromecast at any moment
+function writeAtomic(file, data, cb) {
+  let temp = `${file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+  let fail = err => fs.unlink(temp, () => cb(err));
+  fs.open(temp, 'w', (err, fd) => {
+    if (err) return cb(err);
+    fs.write(fd, data, 0, data.length, null, err => {
+      if (err) return fs.close(fd, () => fail(err));
+      fs.fsync(fd, err => {
+        fs.close(fd, closeErr => {
+          if (err || closeErr) return fail(err || closeErr);
+          fs.rename(temp, file, err => err ? fail(err) : cb(null));
+        });
+      });
+    });
+  });
+}
+
+// Synthesize a rendition with provider and write it to the cache. Concurrent requests for the same
+// rendition share one synthesis. cb(err) once the file is in place; errors from writing the file
+// carry the FILE_ERROR code, anything else is the provider failing
+function synthesize(provider, request, filename, cb) {
+  if (inflight[filename]) {
+    logger.debug(`Synthesis of ${filename} already in progress; waiting on it.`);
+    inflight[filename].push(cb);
+    return;
+  }
+  inflight[filename] = [cb];
+  let done = err => {
+    let callbacks = inflight[filename];
+    delete inflight[filename];
+    callbacks.forEach(callback => callback(err));
+  };
+
+  provider.synthesize(request, (err, audio) => {
+    if (!err && (!audio || audio.length === 0)) err = new Error(`No audio returned.`);
+    outcomes[provider.name] = {"ok": !err, "error": err ? err.message : null, "at": new Date()};
+    metrics.inc("assistant_helper_tts_syntheses_total", {"provider": provider.name, "result": err ? "failed" : "ok"});
+    if (err) {
+      done(err);
+      return;
+    }
+    let file = path.join(cachePath, filename);
+    writeAtomic(file, audio, err => {
+      if (err) {
+        logger.error(`Problem writing synthesized speech to disk.`, err);
+        done(errors.relayError(errors.FILE_ERROR, `Problem writing synthesized speech to disk.`, err));
+        return;
+      }
+      logger.debug(`Successfully wrote ${file} to disk.`);
+      ttscache.add({"filename": filename,
+                    "provider": provider.name,
+                    "text": request.text,
+                    "ssml": !!request.ssml,
+                    "voice": request.voice,
+                    "audioConfig": request.audioConfig,
+                    "contentType": provider.contentType,
+                    "size": audio.length});
+      done(null);
+    });
+  });
+}
+
+// Produce a cached audio file for request {text, ssml, voice, audioConfig}, walking the provider
+// chain in order: each provider's cached rendition is used if present, else it is asked to
+// synthesize one, and the next provider is tried if that fails. cb(err, {provider, filename, file,
+// contentType, cached}) is only called once the file can be served
+function render(request, cb) {
+  let failures = [];
+  let missed = false;
+  let attempt = (i) => {
+    if (i >= providers.length) {
+      cb(errors.relayError(errors.TTS_FAILED, `All TTS providers failed.`, failures.join('; ')));
+      return;
+    }
+    let provider = providers[i];
+    let filename = `${cacheKey(provider, request)}.${provider.extension}`;
+    let file = path.join(cachePath, filename);
+    let rendition = {"provider": provider.name, "filename": filename, "file": file, "contentType": provider.contentType};
+
+    if (ttscache.lookup(filename)) {
+      logger.debug(`Cache hit for TTS request "${request.text}" from provider ${provider.name}.`);
+      rendition.cached = true;
+      cb(null, rendition);
+      return;
+    }
+    logger.debug(`Cache miss for TTS request "${request.text}" from provider ${provider.name}.`);
+    if (!missed) ttscache.miss();
+    missed = true;
+    synthesize(provider, request, filename, err => {
+      if (err && err.code === errors.FILE_ERROR) {
+        cb(err);
+      }
+      else if (err) {
+        logger.warn(`TTS provider ${provider.name} failed.`, err);
+        failures.push(`${provider.name}: ${err.message}`);
+        attempt(i+1);
+      }
+      else {
+        rendition.cached = false;
+        cb(null, rendition);
+      }
+    });
+  };
+  attempt(0);
+}
+
+// Whether render would be answered from the cache rather than synthesizing request
+function cached(request) {
+  return providers.length > 0 && ttscache.has(`${cacheKey(providers[0], request)}.${providers[0].extension}`);
+}
+
+// Whether a rendition is still in the cache, without counting it as a hit
+function rendered(filename) {
+  return ttscache.has(filename);
+}
+
+// The configured providers, in order, with how their last synthesis went. A provider that hasn't
+// been asked for anything yet is taken to be available
+function status() {
+  return providers.map(p => {
+    let outcome = outcomes[p.name];
+    return {"name": p.name, "available": !outcome || outcome.ok,
+            "lastError": outcome && !outcome.ok ? outcome.error : null, "lastSynthesisAt": outcome ? outcome.at : null};
+  });
+}
+
+module.exports = {configure: configure, render: render, cached: cached, rendered: rendered, writeAtomic: writeAtomic, status: status,
+                  GOOGLE: GOOGLE, COMMAND: COMMAND};
@@ -0,0 +1,199 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const fs = require('fs'),
+      path = require('path'),
+      logger = require('winston');
+
+// Dotfile, so serve-static won't hand the index of cached texts to the Chromecasts
+const INDEX_FILE = ".tts-index.json";
+
+// Rendition filenames are a sha1 of the request plus the provider's extension
+const RENDITION_PATTERN = /^[0-9a-f]{40}\.\w+$/,
+      TEMP_PATTERN = /^[0-9a-f]{40}\.\w+\.tmp-[0-9a-f]+$/;
+
+const HIT_PERSIST_DELAY = 30 * 1000; // Hits are written out at most this often, not on every cached request
+
+const entries = {}; // Map from filename to {filename, provider, text, ssml, voice, audioConfig, contentType, size, created, lastHit, hits}
+const counters = {"hits": 0, "misses": 0, "evictions": 0};
+
+var cachePath = null,
+    maxBytes = 0, // 0 for no limit
+    ttlMs = 0, // 0 for no expiry
+    persistTimer = null; // Pending write of hits recorded since the index was last persisted
+
+// Load the index for cachePath, adopting any renditions written before there was one.
+// options: {maxBytes, ttlInSecs}
+function init(dir, options) {
+  cachePath = dir;
+  maxBytes = options.maxBytes || 0;
+  ttlMs = (options.ttlInSecs || 0) * 1000;
+
+  let indexPath = path.join(cachePath, INDEX_FILE);
+  if (fs.existsSync(indexPath)) {
+    try {
+      let stored = JSON.parse(fs.readFileSync(indexPath));
+      stored.forEach(entry => entries[entry.filename] = entry);
+    }
+    catch (err) {
+      logger.error(`Unable to load TTS cache index ${indexPath}; rebuilding.`, err);
+    }
+  }
+
+  let files = [];
+  try {
+    files = fs.readdirSync(cachePath);
+    // Renditions we were still writing when we last stopped
+    files.filter(f => TEMP_PATTERN.test(f)).forEach(f => fs.unlinkSync(path.join(cachePath, f)));
+    files = files.filter(f => RENDITION_PATTERN.test(f));
+  }
+  catch (err) {
+    logger.error(`Unable to read TTS cache directory ${cachePath}.`, err);
+  }
+  // Forget entries whose files have gone, and adopt files we have no entry for
+  Object.keys(entries).forEach(f => {
+    if (!files.includes(f)) delete entries[f];
+  });
+  files.forEach(f => {
+    if (entries[f]) return;
+    let stat = fs.statSync(path.join(cachePath, f));
+    entries[f] = {"filename": f, "size": stat.size, "created": stat.mtime.getTime(), "lastHit": null, "hits": 0};
+  });
+  logger.info(`TTS cache holds ${Object.keys(entries).length} renditions, ${totalBytes()} bytes.`);
+  evict();
+  persist();
+}
+
+function persist() {
+  clearTimeout(persistTimer);
+  persistTimer = null;
+  let indexPath = path.join(cachePath, INDEX_FILE);
+  try {
+    fs.writeFileSync(`${indexPath}.tmp`, JSON.stringify(Object.keys(entries).map(f => entries[f])));
+    fs.renameSync(`${indexPath}.tmp`, indexPath);
+  }
+  catch (err) {
+    logger.error(`Unable to persist TTS cache index ${indexPath}.`, err);
+  }
+}
+
+// Persist soon, so a run of hits costs one write. Hits recorded just before the server stops
+// may be lost, which only affects the order renditions are evicted in
+function persistLater() {
+  if (persistTimer) return;
+  persistTimer = setTimeout(persist, HIT_PERSIST_DELAY);
+  persistTimer.unref();
+}
+
+function totalBytes() {
+  return Object.keys(entries).reduce((total, f) => total + entries[f].size, 0);
+}
+
+function remove(filename) {
+  try {
+    fs.unlinkSync(path.join(cachePath, filename));
+  }
+  catch (err) {
+    if (err.code !== 'ENOENT') logger.error(`Unable to delete cached rendition ${filename}.`, err);
+  }
+  delete entries[filename];
+}
+
+function expired(entry, now) {
+  return ttlMs > 0 && now - entry.created > ttlMs;
+}
+
+// Drop expired renditions, then the least recently used ones until we're within the byte budget.
+// keep is a filename that must survive, i.e. the one just written
+function evict(keep) {
+  let now = Date.now();
+  Object.keys(entries).forEach(f => {
+    if (f !== keep && expired(entries[f], now)) {
+      logger.debug(`Evicting expired TTS rendition ${f}.`);
+      remove(f);
+      counters.evictions++;
+    }
+  });
+  if (maxBytes <= 0) return;
+  let total = totalBytes();
+  let lru = Object.keys(entries).filter(f => f !== keep)
+                                .sort((a, b) => (entries[a].lastHit || entries[a].created) - (entries[b].lastHit || entries[b].created));
+  while (total > maxBytes && lru.length > 0) {
+    let f = lru.shift();
+    logger.debug(`Evicting least recently used TTS rendition ${f} to stay within ${maxBytes} bytes.`);
+    total -= entries[f].size;
+    remove(f);
+    counters.evictions++;
+  }
+}
+
+// Look up a rendition, recording the hit. Returns the entry, or null if it isn't cached
+function lookup(filename) {
+  let entry = entries[filename];
+  if (!entry || expired(entry, Date.now()) || !fs.existsSync(path.join(cachePath, filename))) return null;
+  entry.lastHit = Date.now();
+  entry.hits++;
+  counters.hits++;
+  persistLater();
+  return entry;
+}
+
+// Whether a rendition is cached, without recording a hit
+function has(filename) {
+  let entry = entries[filename];
+  return !!entry && !expired(entry, Date.now()) && fs.existsSync(path.join(cachePath, filename));
+}
+
+function miss() {
+  counters.misses++;
+}
+
+// Record a rendition that has just been written to the cache directory
+function add(entry) {
+  entry.created = Date.now();
+  entry.lastHit = null;
+  entry.hits = 0;
+  entries[entry.filename] = entry;
+  evict(entry.filename);
+  persist();
+}
+
+// All entries, most recently used first
+function list() {
+  return Object.keys(entries).map(f => entries[f])
+                             .sort((a, b) => (b.lastHit || b.created) - (a.lastHit || a.created));
+}
+
+// Delete the named renditions, or every rendition if filenames is null. Returns the filenames deleted
+function purge(filenames) {
+  let purged = (filenames || Object.keys(entries)).filter(f => entries.hasOwnProperty(f));
+  purged.forEach(remove);
+  logger.info(`Purged ${purged.length} TTS renditions.`);
+  persist();
+  return purged;
+}
+
+function stats() {
+  return {"hits": counters.hits,
+          "misses": counters.misses,
+          "evictions": counters.evictions,
+          "entries": Object.keys(entries).length,
+          "bytes": totalBytes(),
+          "maxBytes": maxBytes,
+          "ttlInSecs": ttlMs / 1000};
+}
+
+module.exports = {init: init, lookup: lookup, has: has, miss: miss, add: add, list: list, purge: purge, stats: stats};
@@ -0,0 +1,141 @@
+// Copyright 2018 Michael Paik
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+const EVENT_HEADER = "X-Relay-Event",
+      DELIVERY_HEADER = "X-Relay-Delivery";
+
+const DEFAULT_TIMEOUT = 10 * 1000,
+      DEFAULT_MAX_ATTEMPTS = 5,
+      MAX_BACKOFF = 5 * 60 * 1000; // Retries wait 1, 2, 4... seconds, up to this long
+
+const http = require('http'),
+      https = require('https'),
+      logger = require('winston'),
+      auth = require('./auth'),
+      bus = require('./bus'),
+      metrics = require('./metrics');
+
+const stats = {}; // Map from hook name to {delivered, failed, retries, pending, lastDeliveredAt, lastError, lastErrorAt}
+
+var hooks = []; // The "webhooks" config: [{name, url, events, secret, timeoutInSecs, maxAttempts}]
+
+metrics.define("assistant_helper_webhook_deliveries_total", metrics.COUNTER, "Events sent to each webhook, by result.");
+
+function statsFor(name) {
+  return stats[name] = stats[name] || {"delivered": 0, "failed": 0, "retries": 0, "pending": 0,
+                                       "lastDeliveredAt": null, "lastError": null, "lastErrorAt": null};
+}
+
+// Whether a failed delivery may succeed if tried again: the hook couldn't be reached, timed out,
+// was overloaded or had a problem of its own
+function retriable(statusCode) {
+  return statusCode == null || statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// POST body to hook. cb(err, statusCode) where statusCode is missing if there was no answer
+function post(hook, event, body, cb) {
+  let timestamp = String(Math.floor(Date.now() / 1000));
+  let headers = {"Content-Type": "application/json",
+                 "Content-Length": Buffer.byteLength(body),
+                 "User-Agent": "google-assistant-helper"};
+  headers[EVENT_HEADER] = event.type;
+  headers[DELIVERY_HEADER] = event.id;
+  // Signed as requests to the relays are, over the path of the hook's URL, so receivers can check
+  // deliveries with the same code
+  if (hook.secret) {
+    let url = new URL(hook.url);
+    headers[auth.TIMESTAMP_HEADER] = timestamp;
+    headers[auth.SIGNATURE_HEADER] = `sha256=${auth.sign(hook.secret, timestamp, "POST", url.pathname + url.search, Buffer.from(body))}`;
+  }
+  let done = false;
+  let finish = (err, statusCode) => {
+    if (done) return;
+    done = true;
+    cb(err, statusCode);
+  };
+  let req;
+  try {
+    req = (hook.url.startsWith('https:') ? https : http).request(hook.url, {"method": "POST", "headers": headers}, res => {
+      res.resume(); // Nothing in the answer matters but its status
+      res.on('end', () => finish(res.statusCode >= 200 && res.statusCode < 300 ? null : new Error(`Answered ${res.statusCode}.`),
+                                 res.statusCode));
+    });
+  }
+  catch (err) {
+    finish(err);
+    return;
+  }
+  req.setTimeout(hook.timeoutInSecs != null ? hook.timeoutInSecs * 1000 : DEFAULT_TIMEOUT, () => {
+    req.abort();
+    finish(new Error(`Timed out.`));
+  });
+  req.on('error', err => finish(err));
+  req.end(body);
+}
+
+// Send event to hook, retrying with growing delays until it is accepted or maxAttempts have failed
+function deliver(hook, event) {
+  let body = JSON.stringify(event);
+  let counts = statsFor(hook.name);
+  let maxAttempts = hook.maxAttempts || DEFAULT_MAX_ATTEMPTS;
+  counts.pending++;
+  let attempt = (n) => {
+    post(hook, event, body, (err, statusCode) => {
+      if (!err) {
+        counts.pending--;
+        counts.delivered++;
+        counts.lastDeliveredAt = new Date();
+        metrics.inc("assistant_helper_webhook_deliveries_total", {"hook": hook.name, "result": "delivered"});
+        return;
+      }
+      counts.lastError = err.message;
+      counts.lastErrorAt = new Date();
+      if (n < maxAttempts && retriable(statusCode)) {
+        let delay = Math.min(MAX_BACKOFF, 1000 * Math.pow(2, n - 1));
+        logger.warn(`Webhook ${hook.name} failed on event ${event.id}; retrying in ${delay / 1000} seconds.`, {"error": err.message});
+        counts.retries++;
+        metrics.inc("assistant_helper_webhook_deliveries_total", {"hook": hook.name, "result": "retried"});
+        setTimeout(() => attempt(n + 1), delay);
+        return;
+      }
+      logger.error(`Webhook ${hook.name} failed on event ${event.id} after ${n} attempts; giving up.`, {"error": err.message});
+      counts.pending--;
+      counts.failed++;
+      metrics.inc("assistant_helper_webhook_deliveries_total", {"hook": hook.name, "result": "failed"});
+    });
+  };
+  attempt(1);
+}
+
+function onEvent(event) {
+  hooks.filter(hook => bus.matches(event.type, hook.events)).forEach(hook => deliver(hook, event));
+}
+
+// Send events to the hooks configured. Called again whenever the config is reloaded; deliveries
+// already under way carry on to the hooks they were for
+function configure(webhooks) {
+  hooks = webhooks || [];
+  bus.unsubscribe(onEvent);
+  if (hooks.length > 0) bus.subscribe(onEvent);
+}
+
+// Each hook configured, and how its deliveries have gone since the server started
+function list() {
+  return hooks.map(hook => ({"name": hook.name, "url": hook.url, "events": hook.events || ["*"], "signed": !!hook.secret,
+                             "deliveries": statsFor(hook.name)}));
+}
+
+module.exports = {configure: configure, list: list, EVENT_HEADER: EVENT_HEADER, DELIVERY_HEADER: DELIVERY_HEADER};